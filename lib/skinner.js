@@ -213,40 +213,88 @@
  *    }
  *
  * Each bucketizer provides a separate function for mapping the ordinal number
- * to the bucket range (e.g., mapping 3 to [4, 7]).
+ * to the bucket range (e.g., mapping 3 to [4, 7]).  Both result() and
+ * ordinalToBounds() can produce the non-sparse (*dense*) form, in which missing
+ * buckets between the lowest and highest ones are filled in with zeros.
+ *
+ *
+ * REDUCERS
+ *
+ * Everything above describes adding up the values of data points, but that's
+ * only the default behavior.  More generally, the values of data points that
+ * land in the same place in the breakdown are combined using a *reducer*.
+ * Besides "sum", there are built-in reducers for "count", "min", "max", "mean",
+ * "variance", and "stddev", and consumers can supply their own (see
+ * skAggregator below).  In the examples above, the leaves of the tree are
+ * plain numbers, because that's how the "sum" reducer represents its state.
+ * Other reducers may represent their state differently (e.g., "mean" keeps
+ * both a count and a sum), and that state is only converted to its final value
+ * when the flattened result is computed.
  */
 
 var mod_assert = require('assert');
 var mod_jsprim = require('jsprim');
 var mod_stream = require('stream');
+var mod_url = require('url');
 var mod_util = require('util');
 var VError = require('verror');
 
 /* public interface */
 exports.aggregate = skAggregate;
+exports.bucketizerFromSpec = skBucketizerFromSpec;
+exports.Bucketizer = skBucketizer;
 exports.createAggregator = skCreateAggregator;
+exports.formatDistribution = skFormatDistribution;
 exports.makeLinearBucketizer = skMakeLinearBucketizer;
 exports.makeLogLinearBucketizer = skMakeLogLinearBucketizer;
 exports.makeP2Bucketizer = skMakeP2Bucketizer;
+exports.merge = skMerge;
 exports.ordinalToBounds = skOrdinalToBounds;
+exports.quantiles = skQuantiles;
+exports.quantilesByGroup = skQuantilesByGroup;
+exports.registerBucketizer = skRegisterBucketizer;
+exports.restoreAggregator = skRestoreAggregator;
 
 /*
  * Function interface for aggregating a fixed number of data points.  This
  * returns the result of aggregating points "datapts", breaking out the results
- * by the fields named in "decomps" using bucketizers "bucketizers".  See
- * Aggregator for details.
+ * by the fields named in "decomps" using bucketizers "bucketizers".  "options"
+ * may contain any of the other Aggregator options (e.g., "reducer").  See
+ * Aggregator for details.  With "window", this returns the objects describing
+ * every window, in the form they're emitted on the stream.
  */
-function skAggregate(datapts, decomps, bucketizers)
+function skAggregate(datapts, decomps, bucketizers, options)
 {
-	var aggregator;
+	var aggregator, args, k, rv, window;
 
-	aggregator = new skAggregator({
-	    'decomps': decomps,
-	    'bucketizers': bucketizers
-	});
-	datapts.forEach(function (p) { aggregator.aggregate(p); });
+	if (!Array.isArray(datapts))
+		throw (new VError('data points must be an array'));
+
+	args = {};
+	if (options) {
+		if (typeof (options) != 'object')
+			throw (new VError('options must be an object'));
+		for (k in options)
+			args[k] = options[k];
+	}
+	args['decomps'] = decomps;
+	args['bucketizers'] = bucketizers;
+	aggregator = new skAggregator(args);
+	aggregator.aggregateBatch(datapts);
 	aggregator.end();
 	aggregator.read(0);
+
+	/*
+	 * Ending the stream closes every window, so for windowed aggregators
+	 * the results have to be read back from the stream.
+	 */
+	if (aggregator.sa_window !== null) {
+		rv = [];
+		while ((window = aggregator.read()) !== null)
+			rv.push(window);
+		return (rv);
+	}
+
 	return (aggregator.result());
 }
 
@@ -267,7 +315,144 @@ function skAggregate(datapts, decomps, bucketizers)
  *    bucketizers	Object mapping numeric field names to a bucketizing
  *    			function.  A field is considered numeric iff it has an
  *    			entry in "bucketizers".  You can leave this out if you
- *    			have no numeric fields.
+ *    			have no numeric fields.  Each bucketizer may instead be
+ *    			specified by its spec (see bucketizerFromSpec()).
+ *
+ *    reducer		Specifies how to combine the values of data points that
+ *    			land in the same place in the breakdown.  This may be
+ *    			the name of a built-in reducer ("sum", "count", "min",
+ *    			"max", "mean", "variance", or "stddev") or an object
+ *    			with the following functions:
+ *
+ *    			    init()		returns the initial state
+ *
+ *    			    accumulate(state, value)
+ *    			    			returns the state that results
+ *    			    			from adding number "value" to
+ *    			    			"state"
+ *
+ *    			    merge(state1, state2)
+ *    			    			returns the state that results
+ *    			    			from combining two states
+ *
+ *    			    finalize(state)	returns the reported value for
+ *    			    			"state"
+ *
+ *    			The default is "sum".
+ *
+ *    derivedFields	Object mapping names of *derived* fields, which may be
+ *    			used in "decomps" like any other field, to how the
+ *    			derived field's value is computed.  This may be a
+ *    			function, which is invoked with each data point and
+ *    			returns the value, or an object with properties:
+ *
+ *    			    transform	name of a built-in transform (see
+ *    			    		skTransforms)
+ *
+ *    			    field	name of the field (which may be a
+ *    			    		dotted path) whose value is
+ *    			    		transformed
+ *
+ *    			A derived field takes precedence over a field of the
+ *    			same name in the data point.  Derived fields that are
+ *    			numeric may be bucketized, too.
+ *
+ *    normalize		Object mapping names of non-bucketized fields in
+ *    			"decomps" (including derived fields) to how to normalize
+ *    			their values before grouping, so that variants like
+ *    			"GET" and "get" are reported as one value.  Each entry
+ *    			is a normalizer or an array of them, applied in order.
+ *    			A normalizer may be a function, which is invoked with
+ *    			the value and returns the normalized value, or:
+ *
+ *    			    "lowercase", "uppercase", "trim"
+ *    			    		the corresponding String method
+ *
+ *    			    { "regex": pattern, "flags": flags }
+ *    			    		the part of the value matched by the
+ *    			    		regular expression's first capture
+ *    			    		group (or the whole match, if it has
+ *    			    		no groups).  Values that don't match
+ *    			    		are left alone.
+ *
+ *    			    { "alias": object }
+ *    			    		"object" maps values to canonical
+ *    			    		values.  Values not in "object" are
+ *    			    		left alone.
+ *
+ *    			The built-in normalizers only change strings.  A
+ *    			normalizer that returns undefined makes the field
+ *    			missing (see "missingField").  Filters see the values
+ *    			before they're normalized.
+ *
+ *    missingField	What to do with a data point that's missing one of the
+ *    			fields in "decomps" (or whose derived field's value is
+ *    			undefined).  This may be:
+ *
+ *    			    "group"	the point is aggregated with the
+ *    			    		field's value reported as "missingKey"
+ *    			    		(the default)
+ *
+ *    			    "skip"	the point is dropped
+ *
+ *    			    "error"	the point is dropped and reported with
+ *    			    		the "invalid_object" event
+ *
+ *    			Missing values of bucketized fields can't be grouped,
+ *    			so with "group", those points are dropped and reported
+ *    			like other non-numeric values (see below).  Otherwise,
+ *    			"stats()" counts these points as "nmissing".
+ *
+ *    missingKey		Value reported in place of missing fields when
+ *    			"missingField" is "group".  The default is "<missing>".
+ *
+ *    filter		If specified, only data points matching this filter are
+ *    			aggregated.  This may be a function, which is invoked
+ *    			with each data point and returns true if the point
+ *    			should be aggregated, or a declarative predicate (see
+ *    			skCompileFilter()), like { "eq": [ "method", "GET" ] }.
+ *    			Points that don't match are counted in "stats()" as
+ *    			"nfiltered".
+ *
+ *    values		If specified, an array of names of value columns.  Each
+ *    			data point must then have a "values" object (instead of
+ *    			a single "value") with a number for each of these names,
+ *    			e.g. { "count": 1, "bytes": 5123 }.  The reducer is
+ *    			applied to each column separately, each row of the
+ *    			flattened result ends with one column for each value
+ *    			(in this order), and data points emitted with
+ *    			"resultsAsPoints" have "values" as well.  "limits" rank
+ *    			values using the first column.  This option cannot be
+ *    			combined with "maxGroups".
+ *
+ *    breakdowns	If specified (instead of "decomps"), an object mapping
+ *    			names to arrays of field names.  Each array is a
+ *    			separate set of decomps, and each data point is added to
+ *    			all of them.  result() returns an object mapping each
+ *    			name to the result for that set of decomps, and that's
+ *    			also what the stream emits when it ends (with arrays of
+ *    			data points, if "resultsAsPoints" is true).  A data
+ *    			point whose bucketized field isn't a number is left out
+ *    			of only the breakdowns using that field.  Each field
+ *    			in "limits" applies to the breakdowns that use it.
+ *    			This option cannot be combined with "window" or
+ *    			"maxGroups".
+ *
+ *    rollup		If true, the flattened result also includes subtotal
+ *    			rows for each prefix of "decomps", like SQL's GROUP BY
+ *    			ROLLUP.  For decomps [ "state", "city" ], there's a row
+ *    			for each state and city, then a row for each state with
+ *    			"wildcard" in place of the city, and then a grand total
+ *    			with "wildcard" in place of both.
+ *
+ *    cube		Like "rollup", but includes subtotal rows for every
+ *    			subset of "decomps", like SQL's GROUP BY CUBE.  In the
+ *    			above example, there'd also be a row for each city with
+ *    			"wildcard" in place of the state.  Neither option can
+ *    			be combined with "resultsAsPoints".
+ *
+ *    wildcard		Value reported in place of the fields that were rolled
+ *    			up in subtotal rows.  The default is "*".
  *
  *    resultsAsPoints	If true, the results are emitted as data points suitable
  *    			for passing into another skinner-like aggregator (rather
@@ -275,31 +460,368 @@ function skAggregate(datapts, decomps, bucketizers)
  *    			reporting).
  *
  *    streamOptions	Options to pass through to Node's Stream constructor.
+ *    			The default "highWaterMark" is 1024 objects.
+ *
+ *    emitInterval	If specified, the stream emits a snapshot of the result
+ *    			every this many milliseconds, starting when the first
+ *    			data point is written, in addition to the final result
+ *    			when the stream ends.  Snapshots have the same form as
+ *    			the final result.
+ *
+ *    emitEvery		If specified, the stream emits a snapshot of the result
+ *    			after every this many data points written to it
+ *    			(including invalid ones).  This may be combined with
+ *    			"emitInterval".  Neither is supported with "window".
+ *
+ *    emitMode		Either "cumulative" (the default), in which case each
+ *    			snapshot covers all data points so far, or "delta", in
+ *    			which case each snapshot (and the final result) covers
+ *    			only the data points since the previous snapshot, and
+ *    			the aggregator's values are cleared after each one.
+ *    			"stats()" still cover all data points, except that
+ *    			"nevicted" (with "maxGroups") starts over, too.  With
+ *    			"resultsAsPoints", "delta" snapshots can be fed into
+ *    			another aggregator to compute the same totals.
+ *
+ *    limits		Object mapping names of non-bucketized fields in
+ *    			"decomps" to the maximum number of distinct values of
+ *    			that field to report within each group (i.e., for each
+ *    			combination of values of the fields before it in
+ *    			"decomps").  The values with the largest totals (as
+ *    			reported by the reducer for all data points having that
+ *    			value) are kept, and the rest are combined into a single
+ *    			value named by "otherKey".  This only affects results,
+ *    			not what the aggregator stores.
+ *
+ *    otherKey		Value reported in place of values folded together
+ *    			because of "limits".  Data points whose value for the
+ *    			field is already "otherKey" are always folded in with
+ *    			these.  The default is "<other>".
+ *
+ *    maxGroups		If specified, the maximum number of distinct groups
+ *    			(i.e., combinations of values of the fields in
+ *    			"decomps") to keep track of.  This bounds the memory
+ *    			used for fields with unbounded cardinality.  Once the
+ *    			limit is reached, the aggregator uses the Space-Saving
+ *    			algorithm: a data point for a new group replaces the
+ *    			group with the smallest value, and the new group starts
+ *    			with that value (rather than zero).  As a result, the
+ *    			groups with the largest values are reported accurately
+ *    			enough to find them, but any group's value may be
+ *    			overestimated by as much as the smallest value being
+ *    			kept, and groups with smaller values may be missing
+ *    			entirely.  In that case, "stats()" reports
+ *    			"approximate" as true and that bound as "error_bound",
+ *    			and data points emitted with "resultsAsPoints" have an
+ *    			"approximate" property set to true.  This is only
+ *    			supported with the "sum" and "count" reducers, and the
+ *    			bound only holds if values are never negative.
+ *
+ *    window		If specified, data points are aggregated separately for
+ *    			each window of time, and a result is emitted for each
+ *    			window when it closes (see below).  This is an object
+ *    			with properties:
+ *
+ *    			    field	name of the field containing each
+ *    			    		point's timestamp, which may be a
+ *    			    		number or a string that Date.parse()
+ *    			    		understands (in which case it's
+ *    			    		converted to milliseconds since the
+ *    			    		epoch)
+ *
+ *    			    width	width of each window, in the same
+ *    			    		units as the timestamps
+ *
+ *    			    slide	interval between the start of
+ *    			    		consecutive windows.  This defaults to
+ *    			    		"width", which results in *tumbling*
+ *    			    		windows: each point falls into exactly
+ *    			    		one window.  If smaller than "width",
+ *    			    		the windows overlap (*sliding*
+ *    			    		windows), and each point is counted in
+ *    			    		every window containing it.
+ *
+ *    			    lateness	how far behind the latest timestamp
+ *    			    		seen a point's timestamp may be and
+ *    			    		still be counted (default: 0)
+ *
+ * Invalid options cause the constructor to throw a VError describing the
+ * problem.  Invalid data points never throw: each one is dropped and reported
+ * with the "invalid_object" event, whose arguments are the data point, a VError
+ * describing the problem, and the point's position in the input (starting at
+ * 1).  "stats()" counts data points whose bucketized fields aren't finite
+ * numbers as "nerr_nonnumeric", and other invalid points as "nerr_invalid",
+ * which is broken down further as "nerr_object" (not an object), "nerr_fields"
+ * ("fields" missing or not an object), and "nerr_value" ("value" or "values"
+ * missing or not numbers).
+ *
+ * Windows start at multiples of "slide".  A window covering [start, end) closes
+ * when a data point with timestamp at least "end" + "lateness" arrives, or when
+ * the stream ends.  When each window closes, the stream emits an object with
+ * properties "start", "end", and "result", the last of which is the flattened
+ * result for data points in that window (or an array of data points, if
+ * "resultsAsPoints" is true).  Windows are emitted in order of "start", and
+ * windows without any data points are not emitted.  Data points that arrive
+ * after all windows containing them have closed are dropped and reported with
+ * the "invalid_object" event, as are points without a valid timestamp.  The
+ * "stats()" for windowed aggregators include "nerr_late" and "nerr_timestamp"
+ * counters for these.
  */
 function skCreateAggregator(args)
 {
 	return (new skAggregator(args));
 }
 
+/*
+ * Construct an Aggregator from "state", a value previously returned by an
+ * Aggregator's toJSON() method (possibly after a round-trip through
+ * JSON.stringify() and JSON.parse()).  The new Aggregator has the same
+ * configuration, accumulated value, and stats as the one that was saved, so it
+ * can continue accepting data points where that one left off.  "args" may
+ * specify "streamOptions", "emitInterval", "emitEvery", and "emitMode" as for
+ * createAggregator(), as well as "reducer" and "filter", which are required if
+ * the saved Aggregator used a custom reducer or filter function (since
+ * functions cannot be saved).  Similarly, "derivedFields" must specify any
+ * derived fields that were computed by custom functions, and "normalize" must
+ * specify the normalizers for any fields that used custom functions.
+ */
+function skRestoreAggregator(state, args)
+{
+	var aggr, bucketizers, reducer, filter, derived, normalize, field, kind;
+
+	if (typeof (state) != 'object' || state === null)
+		throw (new VError('invalid aggregator state'));
+
+	if (state.hasOwnProperty('breakdowns'))
+		return (skRestoreBreakdowns(state, args || {}));
+
+	if (!Array.isArray(state.decomps) ||
+	    typeof (state.bucketizers) != 'object' ||
+	    state.bucketizers === null ||
+	    typeof (state.stats) != 'object' || state.stats === null ||
+	    !state.hasOwnProperty('value')) {
+		throw (new VError('invalid aggregator state'));
+	}
+
+	args = args || {};
+	reducer = args.reducer || state.reducer;
+	if (!reducer) {
+		throw (new VError('saved aggregator used a custom reducer, ' +
+		    'but no reducer was specified'));
+	}
+
+	filter = skRestoreFilter(state, args);
+	derived = {};
+	for (field in state.derivedFields) {
+		if (args.derivedFields &&
+		    args.derivedFields.hasOwnProperty(field)) {
+			derived[field] = args.derivedFields[field];
+		} else if (state.derivedFields[field] === null) {
+			throw (new VError('saved aggregator used a custom ' +
+			    'function for derived field "%s", but no ' +
+			    'function was specified', field));
+		} else {
+			derived[field] = state.derivedFields[field];
+		}
+	}
+
+	normalize = {};
+	for (field in state.normalize) {
+		if (args.normalize && args.normalize.hasOwnProperty(field)) {
+			normalize[field] = args.normalize[field];
+		} else if ([].concat(state.normalize[field]).indexOf(
+		    null) != -1) {
+			throw (new VError('saved aggregator used a custom ' +
+			    'normalizer for field "%s", but no normalizer ' +
+			    'was specified', field));
+		} else {
+			normalize[field] = state.normalize[field];
+		}
+	}
+
+	bucketizers = {};
+	for (field in state.bucketizers) {
+		bucketizers[field] = skBucketizerFromSpec(
+		    state.bucketizers[field]);
+	}
+
+	aggr = new skAggregator({
+	    'decomps': state.decomps,
+	    'bucketizers': bucketizers,
+	    'reducer': reducer,
+	    'values': state.values,
+	    'resultsAsPoints': state.resultsAsPoints,
+	    'limits': state.limits,
+	    'otherKey': state.otherKey,
+	    'missingField': state.missingField,
+	    'missingKey': state.missingKey,
+	    'rollup': state.grouping == 'rollup',
+	    'cube': state.grouping == 'cube',
+	    'wildcard': state.wildcard,
+	    'maxGroups': state.maxGroups,
+	    'filter': filter,
+	    'derivedFields': derived,
+	    'normalize': normalize,
+	    'emitInterval': args.emitInterval,
+	    'emitEvery': args.emitEvery,
+	    'emitMode': args.emitMode,
+	    'streamOptions': args.streamOptions
+	});
+	aggr.sa_value = skTreeFromJSON(aggr, 0, state.value);
+	aggr.sa_nrecords = state.stats.ninputs;
+	aggr.sa_position = skRestorePosition(state);
+	aggr.sa_nparsed = state.stats.nparsed;
+	aggr.sa_nnonnumeric = state.stats.nerr_nonnumeric;
+	aggr.sa_ninvalid = state.stats.nerr_invalid || 0;
+	for (kind in aggr.sa_nerrors)
+		aggr.sa_nerrors[kind] = state.stats['nerr_' + kind] || 0;
+	aggr.sa_nfiltered = state.stats.nfiltered || 0;
+	aggr.sa_nmissing = state.stats.nmissing || 0;
+
+	if (aggr.sa_maxgroups !== null) {
+		aggr.sa_nevicted = state.stats.nevicted || 0;
+		skBoundedRestore(aggr, state.groupErrors || {});
+	}
+
+	return (aggr);
+}
+
+/*
+ * Validate the arguments passed to skAggregator, throwing a VError describing
+ * the first problem found.
+ */
+function skCheckArgs(args)
+{
+	var i;
+
+	if (typeof (args) != 'object' || args === null)
+		throw (new VError('aggregator options must be an object'));
+
+	if (args.decomps !== undefined && args.decomps !== null) {
+		if (!Array.isArray(args.decomps))
+			throw (new VError('decomps must be an array'));
+		for (i = 0; i < args.decomps.length; i++) {
+			if (typeof (args.decomps[i]) != 'string') {
+				throw (new VError('decomps[%d] must be a ' +
+				    'string', i));
+			}
+		}
+	}
+
+	if (args.bucketizers !== undefined && args.bucketizers !== null &&
+	    typeof (args.bucketizers) != 'object')
+		throw (new VError('bucketizers must be an object'));
+
+	for (i in args.bucketizers) {
+		if (typeof (args.bucketizers[i]) != 'object' ||
+		    args.bucketizers[i] === null) {
+			throw (new VError('bucketizer for field "%s" must be ' +
+			    'a bucketizer or a bucketizer spec', i));
+		}
+	}
+
+	if (args.reducer)
+		skCheckReducer(args.reducer);
+
+	if (args.window)
+		skCheckWindow(args.window);
+
+	if (args.breakdowns)
+		skCheckBreakdowns(args);
+	else if (args.limits)
+		skCheckLimits(args);
+
+	if (args.otherKey !== undefined && typeof (args.otherKey) != 'string')
+		throw (new VError('otherKey must be a string'));
+
+	if (args.missingField !== undefined &&
+	    args.missingField != 'group' && args.missingField != 'skip' &&
+	    args.missingField != 'error') {
+		throw (new VError('missingField must be "group", "skip", or ' +
+		    '"error"'));
+	}
+
+	if (args.missingKey !== undefined &&
+	    typeof (args.missingKey) != 'string')
+		throw (new VError('missingKey must be a string'));
+
+	if (args.rollup && args.cube)
+		throw (new VError('cannot specify both "rollup" and "cube"'));
+
+	/*
+	 * Subtotal points would be counted again by whatever aggregates the
+	 * emitted points.
+	 */
+	if ((args.rollup || args.cube) && args.resultsAsPoints) {
+		throw (new VError('"rollup" and "cube" cannot be combined ' +
+		    'with "resultsAsPoints"'));
+	}
+
+	if (args.wildcard !== undefined && typeof (args.wildcard) != 'string')
+		throw (new VError('wildcard must be a string'));
+
+	if (args.values && (!Array.isArray(args.values) ||
+	    args.values.length === 0 || !args.values.every(function (v) {
+		return (typeof (v) == 'string');
+	    }))) {
+		throw (new VError('values must be a non-empty array of ' +
+		    'strings'));
+	}
+
+	if (args.maxGroups !== undefined)
+		skCheckMaxGroups(args);
+
+	skCheckEmit(args);
+
+	if (args.filter && typeof (args.filter) != 'function' &&
+	    typeof (args.filter) != 'object')
+		throw (new VError('filter must be a function or an object'));
+
+	if (args.derivedFields &&
+	    typeof (args.derivedFields) != 'object')
+		throw (new VError('derivedFields must be an object'));
+
+	if (args.normalize) {
+		if (typeof (args.normalize) != 'object')
+			throw (new VError('normalize must be an object'));
+		for (i in args.normalize) {
+			skCheckNormalizeField(args, i);
+			if (args.bucketizers &&
+			    args.bucketizers.hasOwnProperty(i)) {
+				throw (new VError('cannot normalize ' +
+				    'bucketized field "%s"', i));
+			}
+		}
+	}
+
+	if (args.streamOptions &&
+	    typeof (args.streamOptions) != 'object')
+		throw (new VError('streamOptions must be an object'));
+}
+
 function skAggregator(args)
 {
-	var streamoptions, i;
+	var streamoptions, filter, derived, normalizers, i;
 
-	mod_assert.equal(typeof (args), 'object');
-	mod_assert.ok(args !== null);
+	skCheckArgs(args);
 
-	if (args.decomps)
-		mod_assert.ok(Array.isArray(args.decomps));
+	if (args.filter) {
+		filter = typeof (args.filter) == 'function' ? args.filter :
+		    skCompileFilter(args.filter);
+	}
 
-	if (args.bucketizers) {
-		mod_assert.ok(typeof (args.bucketizers) == 'object');
-		mod_assert.ok(args.bucketizers !== null);
+	if (args.derivedFields) {
+		derived = {};
+		for (i in args.derivedFields)
+			derived[i] = skCompileDerived(i, args.derivedFields[i]);
 	}
 
-	streamoptions = { 'highWaterMark': 0 };
+	normalizers = {};
+	for (i in args.normalize)
+		normalizers[i] = skCompileNormalizer(i, args.normalize[i]);
+
+	streamoptions = { 'highWaterMark': skBatchSize };
 	if (args.streamOptions) {
-		mod_assert.equal(typeof (args.streamOptions), 'object');
-		mod_assert.ok(args.streamOptions !== null);
 		for (i in args.streamOptions)
 			streamoptions[i] = args.streamOptions[i];
 	}
@@ -307,43 +829,247 @@ function skAggregator(args)
 	mod_stream.Transform.call(this, streamoptions);
 
 	this.sa_decomps = args.decomps ? args.decomps.slice(0) : [];
-	this.sa_bucketizers = args.bucketizers || {};
+	this.sa_bucketizers = {};
+	for (i in args.bucketizers) {
+		this.sa_bucketizers[i] = args.bucketizers[i] instanceof
+		    skBucketizer ? args.bucketizers[i] :
+		    skBucketizerFromSpec(args.bucketizers[i]);
+	}
+	this.sa_basereducer = typeof (args.reducer) == 'string' ?
+	    skReducers[args.reducer] : (args.reducer || skReducers['sum']);
+	this.sa_values = args.values ? args.values.slice(0) : null;
+	this.sa_reducer = this.sa_values === null ? this.sa_basereducer :
+	    skVectorReducer(this.sa_basereducer, this.sa_values.length);
 	this.sa_aspoints = args.resultsAsPoints ? true : false;
+	this.sa_filter = args.filter ? args.filter : null;
+	this.sa_filterfunc = args.filter ? filter : null;
+	this.sa_nfiltered = 0;
+	this.sa_derived = args.derivedFields ?
+	    mod_jsprim.deepCopy(args.derivedFields) : {};
+	this.sa_derivedfuncs = args.derivedFields ? derived : {};
+	this.sa_normalize = args.normalize ?
+	    mod_jsprim.deepCopy(args.normalize) : {};
+	this.sa_accessors = this.sa_decomps.map(
+	    skDecompAccessor.bind(null, this.sa_derivedfuncs, normalizers));
+	this.sa_limits = args.limits ? mod_jsprim.deepCopy(args.limits) : {};
+	this.sa_otherkey = args.otherKey !== undefined ? args.otherKey :
+	    '<other>';
+	this.sa_missing = args.missingField || 'group';
+	this.sa_missingkey = args.missingKey !== undefined ? args.missingKey :
+	    '<missing>';
+	this.sa_nmissing = 0;
+	this.sa_grouping = args.rollup ? 'rollup' : args.cube ? 'cube' : null;
+	this.sa_wildcard = args.wildcard !== undefined ? args.wildcard : '*';
 	this.sa_nrecords = 0;
+	this.sa_position = 0;		/* unlike sa_nrecords, never reset */
+	this.sa_nunyielded = 0;
+	this.sa_emitinterval = args.emitInterval || null;
+	this.sa_emitevery = args.emitEvery || null;
+	this.sa_emitmode = args.emitMode || 'cumulative';
+	this.sa_emittimer = null;	/* timer for "emitInterval" */
+	this.sa_nunemitted = 0;		/* points written since last snapshot */
 	this.sa_nnonnumeric = 0;
+	this.sa_ninvalid = 0;
+	this.sa_nerrors = { 'object': 0, 'fields': 0, 'value': 0 };
 	this.sa_nparsed = 0;
+	this.sa_value = skEmptyTree(this);
+
+	this.sa_window = null;
+	if (args.window) {
+		this.sa_window = {
+		    'field': args.window.field,
+		    'width': args.window.width,
+		    'slide': args.window.slide || args.window.width,
+		    'lateness': args.window.lateness || 0,
+		    'accessor': skCompileAccessor(args.window.field)
+		};
+		this.sa_windows = {};		/* open windows, by start */
+		this.sa_maxtime = -Infinity;	/* latest timestamp seen */
+		this.sa_nlate = 0;
+		this.sa_ntimestamp = 0;
+	}
+
+	this.sa_maxgroups = null;
+	if (args.maxGroups !== undefined) {
+		this.sa_maxgroups = args.maxGroups;
+		this.sa_groups = {};	/* group state, by group id */
+		this.sa_heap = [];	/* groups, as a min-heap by value */
+		this.sa_nevicted = 0;
+	}
 
-	if (this.sa_decomps.length === 0)
-		this.sa_value = 0;
-	else
-		this.sa_value = {};
+	this.sa_breakdowns = null;
+	if (args.breakdowns) {
+		this.sa_breakdowns = {};
+		this.sa_reported = false;
+		for (i in args.breakdowns) {
+			skAttachBreakdown(this, i, new skAggregator(
+			    skBreakdownArgs(args, args.breakdowns[i])));
+		}
+	}
 }
 
 mod_util.inherits(skAggregator, mod_stream.Transform);
 
 skAggregator.prototype.stats = function ()
 {
-	return ({
+	var rv, kind;
+
+	rv = {
 	    'ninputs': this.sa_nrecords,
 	    'nparsed': this.sa_nparsed,
-	    'nerr_nonnumeric': this.sa_nnonnumeric
-	});
+	    'nerr_nonnumeric': this.sa_nnonnumeric,
+	    'nerr_invalid': this.sa_ninvalid
+	};
+
+	/* "nerr_invalid" is broken down by the kind of problem. */
+	for (kind in this.sa_nerrors)
+		rv['nerr_' + kind] = this.sa_nerrors[kind];
+	rv['nmissing'] = this.sa_nmissing;
+
+	if (this.sa_filter !== null)
+		rv['nfiltered'] = this.sa_nfiltered;
+
+	if (this.sa_window !== null) {
+		rv['nerr_late'] = this.sa_nlate;
+		rv['nerr_timestamp'] = this.sa_ntimestamp;
+	}
+
+	if (this.sa_maxgroups !== null) {
+		rv['ngroups'] = this.sa_heap.length;
+		rv['nevicted'] = this.sa_nevicted;
+		rv['approximate'] = this.sa_nevicted > 0;
+		rv['error_bound'] = this.sa_nevicted > 0 ?
+		    this.sa_heap[0].sg_value : 0;
+	}
+
+	return (rv);
 };
 
+/*
+ * Data points written to the stream are aggregated synchronously, but we yield
+ * to the event loop after every "skBatchSize" points so that a fast producer
+ * can't starve other I/O.  Points written while we're yielding are buffered by
+ * the stream (up to "highWaterMark") and then handed to _writev() together.
+ */
+var skBatchSize = 1024;
+
 skAggregator.prototype._transform = function (datapt, _, callback)
 {
-	this.aggregate(datapt);
+	skStreamAggregate(this, datapt);
+	skWriteDone(this, 1, callback);
+};
+
+/*
+ * This bypasses Transform's _write(), which would otherwise hold the callback
+ * while the readable side is full.  That only matters for windowed
+ * aggregators, which emit results as windows close, and the most a batch can
+ * add beyond "highWaterMark" is one result for each window it closes.
+ */
+skAggregator.prototype._writev = function (chunks, callback)
+{
+	var i;
+
+	for (i = 0; i < chunks.length; i++)
+		skStreamAggregate(this, chunks[i].chunk);
+	skWriteDone(this, chunks.length, callback);
+};
+
+skAggregator.prototype._destroy = function (err, callback)
+{
+	skEmitStop(this);
+	callback(err);
+};
+
+/*
+ * Aggregate data point "datapt", which was written to aggregator "aggr"'s
+ * stream, and emit a snapshot if that's the "emitEvery"th point since the last
+ * one.  The "emitInterval" timer starts with the first point written.
+ */
+function skStreamAggregate(aggr, datapt)
+{
+	if (aggr.sa_emitinterval !== null && aggr.sa_emittimer === null) {
+		aggr.sa_emittimer = setInterval(skEmitSnapshot,
+		    aggr.sa_emitinterval, aggr);
+		aggr.sa_emittimer.unref();
+	}
+
+	aggr.aggregate(datapt);
+	if (aggr.sa_emitevery !== null &&
+	    ++aggr.sa_nunemitted >= aggr.sa_emitevery)
+		skEmitSnapshot(aggr);
+}
+
+/*
+ * Invoke "callback" for a write of "n" data points to aggregator "aggr",
+ * yielding to the event loop first if we've processed a full batch since the
+ * last time we did.
+ */
+function skWriteDone(aggr, n, callback)
+{
+	aggr.sa_nunyielded += n;
+	if (aggr.sa_nunyielded < skBatchSize) {
+		callback();
+		return;
+	}
+
+	aggr.sa_nunyielded = 0;
 	setImmediate(callback);
+}
+
+/*
+ * Aggregate each of the data points in array "datapts".  This is equivalent to
+ * calling aggregate() for each one.
+ */
+skAggregator.prototype.aggregateBatch = function (datapts)
+{
+	var i;
+
+	if (!Array.isArray(datapts))
+		throw (new VError('data points must be an array'));
+
+	for (i = 0; i < datapts.length; i++)
+		this.aggregate(datapts[i]);
 };
 
 skAggregator.prototype.aggregate = function (datapt)
 {
-	var i, prev, o, field, fieldvalue, bucketizer;
+	var i, keys, field, fieldvalue, bucketizer, value, missing;
 
 	this.sa_nrecords++;
-	mod_assert.equal(typeof (datapt), 'object');
-	mod_assert.ok(datapt !== null);
-	mod_assert.equal(typeof (datapt['value']), 'number');
+	this.sa_position++;
+	if (typeof (datapt) != 'object' || datapt === null ||
+	    Array.isArray(datapt)) {
+		skInvalid(this, datapt, 'object',
+		    new VError('data point is not an object'));
+		return;
+	}
+
+	if (typeof (datapt['fields']) != 'object' ||
+	    datapt['fields'] === null) {
+		skInvalid(this, datapt, 'fields',
+		    new VError('data point "fields" is not an object'));
+		return;
+	}
+
+	if (this.sa_filterfunc !== null && !this.sa_filterfunc(datapt)) {
+		this.sa_nfiltered++;
+		return;
+	}
+
+	if (this.sa_values !== null) {
+		value = skPluckValues(this, datapt);
+		if (value instanceof Error) {
+			skInvalid(this, datapt, 'value', value);
+			return;
+		}
+	} else if (typeof (datapt['value']) != 'number' ||
+	    isNaN(datapt['value'])) {
+		skInvalid(this, datapt, 'value',
+		    new VError('data point "value" is not a number'));
+		return;
+	} else {
+		value = datapt['value'];
+	}
 
 	/*
 	 * Recall that we store the current accumulated value as a tree, where
@@ -351,25 +1077,37 @@ skAggregator.prototype.aggregate = function (datapt)
 	 * in the decomposition list that we've seen so far.  To find the value
 	 * that we need to update, we construct a path through the tree based on
 	 * the field values for this data point.  Specifically, we walk the list
-	 * of decomposition fields, pull out the corresponding value of that
-	 * field from this data point, and use that value to descend in the
-	 * tree.  If we need a node that doesn't exist, we create it here.
-	 *
-	 * In each iteration, "o" denotes where we are currently in the tree,
-	 * and "prev" refers to its parent.  At the end of this loop, "o" refers
-	 * to the leaf value that we'd like to update.  (We wouldn't need "prev"
-	 * at all if we could update numbers by reference, but we need it to
-	 * update the leaf by updating the corresponding property of its
-	 * parent.)
+	 * of decomposition fields and pull out the corresponding value of that
+	 * field from this data point (bucketizing it, if necessary).
 	 */
-	prev = null;
-	o = this.sa_value;
+	keys = [];
+	missing = false;
 	for (i = 0; i < this.sa_decomps.length; i++) {
-		mod_assert.equal(typeof (o), 'object');
-		mod_assert.ok(o !== null);
 		field = this.sa_decomps[i];
-		fieldvalue = mod_jsprim.pluck(datapt['fields'], field);
-		prev = o;
+		fieldvalue = this.sa_accessors[i](datapt);
+
+		/*
+		 * Missing values of bucketized fields can't be grouped with the
+		 * buckets, so with "group" they're treated as non-numeric
+		 * values below.
+		 */
+		if (fieldvalue === undefined &&
+		    (this.sa_missing != 'group' ||
+		    !this.sa_bucketizers.hasOwnProperty(field))) {
+			if (this.sa_missing == 'group') {
+				missing = true;
+				keys.push(this.sa_missingkey);
+				continue;
+			}
+
+			this.sa_nmissing++;
+			if (this.sa_missing == 'error') {
+				this.emit('invalid_object', datapt, new VError(
+				    'data point is missing field "%s"', field),
+				    this.sa_position);
+			}
+			return;
+		}
 
 		if (this.sa_bucketizers.hasOwnProperty(field)) {
 			if (typeof (fieldvalue) == 'string') {
@@ -382,18 +1120,83 @@ skAggregator.prototype.aggregate = function (datapt)
 				this.sa_nnonnumeric++;
 				this.emit('invalid_object', datapt, new VError(
 				    'value for field "%s" is not a number',
-				    field), this.sa_nrecords);
+				    field), this.sa_position);
+				return;
+			}
+
+			if (!isFinite(fieldvalue)) {
+				this.sa_nnonnumeric++;
+				this.emit('invalid_object', datapt, new VError(
+				    'value for field "%s" is not finite',
+				    field), this.sa_position);
 				return;
 			}
 
 			bucketizer = this.sa_bucketizers[field];
-			/* XXX private */
-			fieldvalue = bucketizer._valueToBucketIndex(fieldvalue);
+			fieldvalue = bucketizer.bucketIndex(fieldvalue);
 		}
 
-		if (o.hasOwnProperty(fieldvalue)) {
+		keys.push(fieldvalue);
+	}
+
+	if (missing)
+		this.sa_nmissing++;
+
+	if (this.sa_breakdowns !== null) {
+		skBreakdownsAggregate(this, datapt);
+		return;
+	}
+
+	if (this.sa_window !== null) {
+		skWindowAggregate(this, datapt, keys, value);
+		return;
+	}
+
+	if (this.sa_maxgroups !== null) {
+		skBoundedAggregate(this, keys, value);
+		return;
+	}
+
+	this.sa_value = skUpdateTree(this, this.sa_value, keys, value);
+};
+
+/*
+ * Count data point "datapt" as invalid for reason "kind" (one of the
+ * properties of the aggregator's "sa_nerrors") and emit "invalid_object" with
+ * error "err".
+ */
+function skInvalid(aggr, datapt, kind, err)
+{
+	aggr.sa_ninvalid++;
+	aggr.sa_nerrors[kind]++;
+	aggr.emit('invalid_object', datapt, err, aggr.sa_position);
+}
+
+/*
+ * Use the reducer to add "value" to the leaf of tree "root" (having one level
+ * for each field in the aggregator's decomps) identified by "keys", creating
+ * nodes as needed.  Returns the updated tree.
+ */
+function skUpdateTree(aggr, root, keys, value)
+{
+	var i, prev, o, key;
+
+	/*
+	 * In each iteration, "o" denotes where we are currently in the tree,
+	 * and "prev" refers to its parent.  At the end of this loop, "o" refers
+	 * to the leaf value (the reducer's state) that we'd like to update.
+	 * (We wouldn't need "prev" at all if we could update the state by
+	 * reference, but reducers may represent their state as a number, so we
+	 * update the leaf by updating the corresponding entry of its parent.)
+	 */
+	prev = null;
+	o = root;
+	for (i = 0; i < keys.length; i++) {
+		key = keys[i];
+		prev = o;
+		o = prev.get(key);
+		if (o !== undefined) {
 			/* The node already exists.  Descend into the tree. */
-			o = o[fieldvalue];
 			continue;
 		}
 
@@ -402,137 +1205,2347 @@ skAggregator.prototype.aggregate = function (datapt)
 		 * so create a "zero" node for it and then descend into that
 		 * node.
 		 */
-		if (i < this.sa_decomps.length - 1)
-			o[fieldvalue] = {};
-		else
-			o[fieldvalue] = 0;
-
-		o = o[fieldvalue];
+		o = i < keys.length - 1 ? new Map() : aggr.sa_reducer.init();
+		prev.set(key, o);
 	}
 
-	if (this.sa_decomps.length > 0) {
-		/*
-		 * If there was at least one decomposition, then update the
-		 * value by updating the corresponding key of its parent.
-		 */
-		mod_assert.equal(typeof (o), 'number');
-		mod_assert.ok(prev[fieldvalue] === o);
-		prev[fieldvalue] += datapt['value'];
-	} else {
-		/* Otherwise, sa_value is a number, so just increment it. */
-		mod_assert.ok(this.sa_value === o);
-		mod_assert.equal(typeof (this.sa_value), 'number');
-		this.sa_value += datapt['value'];
+	if (keys.length === 0) {
+		/* With no decompositions, the root is the reducer state. */
+		mod_assert.ok(root === o);
+		return (aggr.sa_reducer.accumulate(o, value));
 	}
-};
 
-skAggregator.prototype._flush = function (callback)
+	/*
+	 * Otherwise, update the value by updating the corresponding entry of
+	 * its parent.
+	 */
+	prev.set(key, aggr.sa_reducer.accumulate(o, value));
+	return (root);
+}
+
+/*
+ * Returns an empty tree for aggregator "aggr".
+ */
+function skEmptyTree(aggr)
 {
-	if (!this.sa_aspoints) {
-		this.push(this.result());
-		callback();
-		return;
-	}
+	return (aggr.sa_decomps.length === 0 ? aggr.sa_reducer.init() :
+	    new Map());
+}
 
-	var self, bucketizer;
+/*
+ * Validate the "maxGroups" option passed to skAggregator.
+ */
+function skCheckMaxGroups(args)
+{
+	var reducer;
 
-	self = this;
-	mod_jsprim.flattenIter(this.sa_value, this.sa_decomps.length,
-	    function (row) {
-		var point, i, val, field;
+	if (typeof (args.maxGroups) != 'number' ||
+	    Math.floor(args.maxGroups) !== args.maxGroups ||
+	    args.maxGroups <= 0)
+		throw (new VError('maxGroups must be a positive integer'));
 
-		point = {
-		    'fields': {},
-		    'value': 0
-		};
+	if (args.window) {
+		throw (new VError('maxGroups is not supported for windowed ' +
+		    'aggregators'));
+	}
 
-		for (i = 0; i < self.sa_decomps.length; i++) {
-			field = self.sa_decomps[i];
+	if (args.values) {
+		throw (new VError('maxGroups is not supported with multiple ' +
+		    'values'));
+	}
+
+	reducer = args.reducer || 'sum';
+	if (reducer !== 'sum' && reducer !== 'count' &&
+	    reducer !== skReducers['sum'] && reducer !== skReducers['count']) {
+		throw (new VError('maxGroups is only supported with the ' +
+		    '"sum" and "count" reducers'));
+	}
+}
+
+/*
+ * Bounded aggregators (those with "maxGroups") keep track of each group (leaf
+ * of the tree) using an object with:
+ *
+ *    sg_id	unique identifier for the group, derived from its keys
+ *
+ *    sg_keys	array of keys identifying the group's leaf in the tree
+ *
+ *    sg_value	finalized value of the group's leaf (a number, since only the
+ *    		"sum" and "count" reducers are supported)
+ *
+ *    sg_error	amount by which sg_value may be overestimated, which is the
+ *    		value of the group that this group replaced (if any)
+ *
+ *    sg_index	index of this group in the aggregator's heap
+ *
+ * These are stored in the aggregator's "sa_groups" (indexed by id) and
+ * "sa_heap", a binary min-heap ordered by value so that we can quickly find the
+ * group to replace when the aggregator is full.
+ */
+function skGroupId(keys)
+{
+	return (JSON.stringify(keys));
+}
+
+/*
+ * Add "value" to the group identified by "keys" in bounded aggregator "aggr",
+ * replacing the smallest existing group if this group is new and the aggregator
+ * is already keeping track of "maxGroups" groups.
+ */
+function skBoundedAggregate(aggr, keys, value)
+{
+	var id, group, victim, state;
+
+	id = skGroupId(keys);
+	if (aggr.sa_groups.hasOwnProperty(id)) {
+		group = aggr.sa_groups[id];
+		aggr.sa_value = skUpdateTree(aggr, aggr.sa_value, keys, value);
+		group.sg_value = aggr.sa_reducer.finalize(
+		    skTreeLeaf(aggr.sa_value, keys));
+		skHeapFix(aggr.sa_heap, group.sg_index);
+		return;
+	}
+
+	group = {
+	    'sg_id': id,
+	    'sg_keys': keys,
+	    'sg_value': 0,
+	    'sg_error': 0,
+	    'sg_index': -1
+	};
+
+	if (aggr.sa_heap.length < aggr.sa_maxgroups) {
+		aggr.sa_value = skUpdateTree(aggr, aggr.sa_value, keys, value);
+		group.sg_value = aggr.sa_reducer.finalize(
+		    skTreeLeaf(aggr.sa_value, keys));
+		group.sg_index = aggr.sa_heap.length;
+		aggr.sa_heap.push(group);
+		aggr.sa_groups[id] = group;
+		skHeapFix(aggr.sa_heap, group.sg_index);
+		return;
+	}
+
+	/*
+	 * Replace the smallest group with this one.  The new group inherits
+	 * the old group's value, which is also the bound on how much the new
+	 * group's value may be overestimated.
+	 */
+	victim = aggr.sa_heap[0];
+	state = skTreeLeaf(aggr.sa_value, victim.sg_keys);
+	skTreeRemove(aggr.sa_value, victim.sg_keys);
+	delete (aggr.sa_groups[victim.sg_id]);
+	aggr.sa_nevicted++;
+
+	aggr.sa_value = skUpdateTree(aggr, aggr.sa_value, keys, value);
+	skTreeSetLeaf(aggr.sa_value, keys, aggr.sa_reducer.merge(
+	    skTreeLeaf(aggr.sa_value, keys), state));
+	group.sg_value = aggr.sa_reducer.finalize(
+	    skTreeLeaf(aggr.sa_value, keys));
+	group.sg_error = victim.sg_value;
+	group.sg_index = 0;
+	aggr.sa_heap[0] = group;
+	aggr.sa_groups[id] = group;
+	skHeapFix(aggr.sa_heap, 0);
+}
+
+/*
+ * Rebuild the groups of bounded aggregator "aggr" from its tree.  "errors" maps
+ * group ids to errors for groups whose error is not zero.
+ */
+function skBoundedRestore(aggr, errors)
+{
+	if (aggr.sa_decomps.length === 0) {
+		aggr.sa_heap.push({
+		    'sg_id': skGroupId([]),
+		    'sg_keys': [],
+		    'sg_value': aggr.sa_reducer.finalize(aggr.sa_value),
+		    'sg_error': 0,
+		    'sg_index': 0
+		});
+		aggr.sa_groups[aggr.sa_heap[0].sg_id] = aggr.sa_heap[0];
+		return;
+	}
+
+	skFlattenIter(aggr, aggr.sa_value, function (row) {
+		var keys, group;
+
+		keys = row.slice(0, row.length - 1);
+		group = {
+		    'sg_id': skGroupId(keys),
+		    'sg_keys': keys,
+		    'sg_value': aggr.sa_reducer.finalize(row[row.length - 1]),
+		    'sg_error': 0,
+		    'sg_index': aggr.sa_heap.length
+		};
+		if (errors.hasOwnProperty(group.sg_id))
+			group.sg_error = errors[group.sg_id];
+
+		aggr.sa_groups[group.sg_id] = group;
+		aggr.sa_heap.push(group);
+		skHeapFix(aggr.sa_heap, group.sg_index);
+	});
+}
+
+/*
+ * Restore the heap property of "heap" (an array of groups) after the value of
+ * the group at index "i" has changed.
+ */
+function skHeapFix(heap, i)
+{
+	var parent, child, tmp;
+
+	/* Move the group up while it's smaller than its parent. */
+	while (i > 0) {
+		parent = Math.floor((i - 1) / 2);
+		if (heap[parent].sg_value <= heap[i].sg_value)
+			break;
+		skHeapSwap(heap, i, parent);
+		i = parent;
+	}
+
+	/* Move the group down while it's larger than its smaller child. */
+	for (;;) {
+		child = 2 * i + 1;
+		if (child >= heap.length)
+			break;
+		tmp = child + 1;
+		if (tmp < heap.length &&
+		    heap[tmp].sg_value < heap[child].sg_value)
+			child = tmp;
+		if (heap[i].sg_value <= heap[child].sg_value)
+			break;
+		skHeapSwap(heap, i, child);
+		i = child;
+	}
+}
+
+function skHeapSwap(heap, i, j)
+{
+	var tmp = heap[i];
+
+	heap[i] = heap[j];
+	heap[j] = tmp;
+	heap[i].sg_index = i;
+	heap[j].sg_index = j;
+}
+
+/*
+ * Returns the leaf of tree "root" identified by "keys", which must exist.
+ */
+function skTreeLeaf(root, keys)
+{
+	var o, i;
+
+	o = root;
+	for (i = 0; i < keys.length; i++)
+		o = o.get(keys[i]);
+
+	return (o);
+}
+
+/*
+ * Replace the leaf of tree "root" identified by "keys", which must exist, with
+ * "state".  There must be at least one key.
+ */
+function skTreeSetLeaf(root, keys, state)
+{
+	var o, i;
+
+	mod_assert.ok(keys.length > 0);
+	o = root;
+	for (i = 0; i < keys.length - 1; i++)
+		o = o.get(keys[i]);
+
+	o.set(keys[keys.length - 1], state);
+}
+
+/*
+ * Remove the leaf of tree "root" identified by "keys", along with any nodes
+ * left empty as a result.  There must be at least one key.
+ */
+function skTreeRemove(root, keys)
+{
+	var path, o, i;
+
+	mod_assert.ok(keys.length > 0);
+	path = [ root ];
+	o = root;
+	for (i = 0; i < keys.length - 1; i++) {
+		o = o.get(keys[i]);
+		path.push(o);
+	}
+
+	for (i = keys.length - 1; i >= 0; i--) {
+		path[i].delete(keys[i]);
+		if (path[i].size > 0)
+			break;
+	}
+}
+
+/*
+ * Validate the "breakdowns" option passed to skAggregator.
+ */
+function skCheckBreakdowns(args)
+{
+	var name, field, found;
+
+	if (typeof (args.breakdowns) != 'object')
+		throw (new VError('breakdowns must be an object'));
+
+	if (args.decomps && args.decomps.length > 0) {
+		throw (new VError('cannot specify both "decomps" and ' +
+		    '"breakdowns"'));
+	}
+
+	if (args.window) {
+		throw (new VError('breakdowns are not supported for windowed ' +
+		    'aggregators'));
+	}
+
+	if (args.maxGroups !== undefined) {
+		throw (new VError('breakdowns are not supported with ' +
+		    '"maxGroups"'));
+	}
+
+	if (mod_jsprim.isEmpty(args.breakdowns))
+		throw (new VError('breakdowns must not be empty'));
+
+	for (name in args.breakdowns) {
+		if (!Array.isArray(args.breakdowns[name])) {
+			throw (new VError('breakdown "%s" must be an array',
+			    name));
+		}
+	}
+
+	for (field in args.limits) {
+		found = false;
+		for (name in args.breakdowns) {
+			if (args.breakdowns[name].indexOf(field) != -1)
+				found = true;
+		}
+
+		if (!found) {
+			throw (new VError('limit specified for field "%s" ' +
+			    'not in any breakdown', field));
+		}
+	}
+}
+
+/*
+ * Returns the arguments for constructing the aggregator for one of the
+ * breakdowns of an aggregator constructed with "args", which breaks down data
+ * points by fields "decomps".  Data points are filtered and validated by the
+ * parent aggregator, so the filter isn't needed here.
+ */
+function skBreakdownArgs(args, decomps)
+{
+	var rv, field;
+
+	rv = {
+	    'decomps': decomps,
+	    'bucketizers': args.bucketizers,
+	    'reducer': args.reducer,
+	    'values': args.values,
+	    'derivedFields': args.derivedFields,
+	    'otherKey': args.otherKey,
+	    'missingField': args.missingField,
+	    'missingKey': args.missingKey,
+	    'rollup': args.rollup,
+	    'cube': args.cube,
+	    'wildcard': args.wildcard,
+	    'resultsAsPoints': args.resultsAsPoints
+	};
+
+	for (field in args.limits) {
+		if (decomps.indexOf(field) == -1)
+			continue;
+		if (!rv.limits)
+			rv.limits = {};
+		rv.limits[field] = args.limits[field];
+	}
+
+	for (field in args.normalize) {
+		if (decomps.indexOf(field) == -1)
+			continue;
+		if (!rv.normalize)
+			rv.normalize = {};
+		rv.normalize[field] = args.normalize[field];
+	}
+
+	return (rv);
+}
+
+/*
+ * Make "child" the aggregator for breakdown "name" of aggregator "aggr".
+ * Errors reported by the child are reported by the parent instead, since
+ * consumers only see the parent.
+ */
+function skAttachBreakdown(aggr, name, child)
+{
+	aggr.sa_breakdowns[name] = child;
+	child.on('invalid_object', function (datapt, err) {
+		if (aggr.sa_reported)
+			return;
+		aggr.sa_reported = true;
+		aggr.emit('invalid_object', datapt, err, aggr.sa_position);
+	});
+}
+
+/*
+ * Passes data point "datapt" to each breakdown of aggregator "aggr".  Data
+ * points are only passed to breakdowns once they've been validated, but each
+ * breakdown may have problems with the fields it uses.  A data point is still
+ * counted and reported at most once, however many breakdowns have a problem
+ * with it.
+ */
+function skBreakdownsAggregate(aggr, datapt)
+{
+	var name, child, nparsed, nnonnumeric, nmissing;
+	var parsed, nonnumeric, missing;
+
+	parsed = nonnumeric = missing = false;
+	aggr.sa_reported = false;
+	for (name in aggr.sa_breakdowns) {
+		child = aggr.sa_breakdowns[name];
+		nparsed = child.sa_nparsed;
+		nnonnumeric = child.sa_nnonnumeric;
+		nmissing = child.sa_nmissing;
+		child.aggregate(datapt);
+		parsed = parsed || child.sa_nparsed > nparsed;
+		nonnumeric = nonnumeric || child.sa_nnonnumeric > nnonnumeric;
+		missing = missing || child.sa_nmissing > nmissing;
+	}
+
+	if (parsed)
+		aggr.sa_nparsed++;
+	if (nonnumeric)
+		aggr.sa_nnonnumeric++;
+	if (missing)
+		aggr.sa_nmissing++;
+}
+
+/*
+ * Returns an object mapping the name of each breakdown of aggregator "aggr" to
+ * the value of "func" for that breakdown's aggregator.
+ */
+function skBreakdownsResult(aggr, func)
+{
+	var rv, name;
+
+	rv = {};
+	for (name in aggr.sa_breakdowns)
+		rv[name] = func(aggr.sa_breakdowns[name]);
+
+	return (rv);
+}
+
+/*
+ * Implements merge() for aggregators with "breakdowns".
+ */
+function skBreakdownsMerge(aggr, other)
+{
+	var names;
+
+	if (aggr.sa_breakdowns === null || other.sa_breakdowns === null ||
+	    !mod_jsprim.deepEqual(Object.keys(aggr.sa_breakdowns).sort(),
+	    Object.keys(other.sa_breakdowns).sort())) {
+		throw (new VError('cannot merge aggregators with different ' +
+		    'breakdowns'));
+	}
+
+	/* Check that all of the breakdowns can be merged before merging any. */
+	names = Object.keys(aggr.sa_breakdowns);
+	names.forEach(function (name) {
+		skCheckMergeable(aggr.sa_breakdowns[name],
+		    other.sa_breakdowns[name]);
+	});
+	names.forEach(function (name) {
+		aggr.sa_breakdowns[name].merge(other.sa_breakdowns[name]);
+	});
+	aggr.sa_nrecords += other.sa_nrecords;
+	aggr.sa_position += other.sa_nrecords;
+	aggr.sa_ninvalid += other.sa_ninvalid;
+	aggr.sa_nfiltered += other.sa_nfiltered;
+	aggr.sa_nparsed += other.sa_nparsed;
+	aggr.sa_nnonnumeric += other.sa_nnonnumeric;
+	aggr.sa_nmissing += other.sa_nmissing;
+	skMergeErrors(aggr, other);
+}
+
+/*
+ * Implements toJSON() for aggregators with "breakdowns".  Each breakdown's
+ * aggregator is saved separately, along with the stats that are only tracked
+ * by the parent.
+ */
+function skBreakdownsToJSON(aggr)
+{
+	var stats, kind;
+
+	stats = {
+	    'ninputs': aggr.sa_nrecords,
+	    'nparsed': aggr.sa_nparsed,
+	    'nerr_nonnumeric': aggr.sa_nnonnumeric,
+	    'nerr_invalid': aggr.sa_ninvalid,
+	    'nfiltered': aggr.sa_nfiltered
+	};
+	for (kind in aggr.sa_nerrors)
+		stats['nerr_' + kind] = aggr.sa_nerrors[kind];
+	stats['nmissing'] = aggr.sa_nmissing;
+
+	return ({
+	    'breakdowns': skBreakdownsResult(aggr, function (child) {
+		return (child.toJSON());
+	    }),
+	    'values': aggr.sa_values === null ? null :
+	        aggr.sa_values.slice(0),
+	    'resultsAsPoints': aggr.sa_aspoints,
+	    'filter': typeof (aggr.sa_filter) == 'function' ? null :
+	        mod_jsprim.deepCopy(aggr.sa_filter),
+	    'customFilter': typeof (aggr.sa_filter) == 'function',
+	    'stats': stats,
+	    'position': aggr.sa_position
+	});
+}
+
+/*
+ * Returns the input position saved in "state".  States saved by older versions
+ * don't include it, but those aggregators couldn't be reset, so "ninputs" is
+ * the position.
+ */
+function skRestorePosition(state)
+{
+	return (typeof (state.position) == 'number' ? state.position :
+	    state.stats.ninputs);
+}
+
+/*
+ * Implements restoreAggregator() for aggregators with "breakdowns".
+ */
+function skRestoreBreakdowns(state, args)
+{
+	var breakdowns, aggr, name, kind;
+
+	if (typeof (state.breakdowns) != 'object' ||
+	    state.breakdowns === null ||
+	    typeof (state.stats) != 'object' || state.stats === null) {
+		throw (new VError('invalid aggregator state'));
+	}
+
+	breakdowns = {};
+	for (name in state.breakdowns) {
+		if (typeof (state.breakdowns[name]) != 'object' ||
+		    state.breakdowns[name] === null ||
+		    !Array.isArray(state.breakdowns[name].decomps))
+			throw (new VError('invalid aggregator state'));
+		breakdowns[name] = state.breakdowns[name].decomps;
+	}
+
+	aggr = new skAggregator({
+	    'breakdowns': breakdowns,
+	    'values': state.values,
+	    'resultsAsPoints': state.resultsAsPoints,
+	    'filter': skRestoreFilter(state, args),
+	    'emitInterval': args.emitInterval,
+	    'emitEvery': args.emitEvery,
+	    'emitMode': args.emitMode,
+	    'streamOptions': args.streamOptions
+	});
+
+	for (name in state.breakdowns) {
+		skAttachBreakdown(aggr, name,
+		    skRestoreAggregator(state.breakdowns[name], {
+			'reducer': args.reducer,
+			'derivedFields': args.derivedFields,
+			'normalize': args.normalize
+		    }));
+	}
+
+	aggr.sa_nrecords = state.stats.ninputs;
+	aggr.sa_position = skRestorePosition(state);
+	aggr.sa_ninvalid = state.stats.nerr_invalid || 0;
+	for (kind in aggr.sa_nerrors)
+		aggr.sa_nerrors[kind] = state.stats['nerr_' + kind] || 0;
+	aggr.sa_nfiltered = state.stats.nfiltered || 0;
+	aggr.sa_nparsed = state.stats.nparsed || 0;
+	aggr.sa_nnonnumeric = state.stats.nerr_nonnumeric || 0;
+	aggr.sa_nmissing = state.stats.nmissing || 0;
+	return (aggr);
+}
+
+/*
+ * Returns the filter to use for an aggregator restored from "state" with
+ * arguments "args" (see restoreAggregator()).
+ */
+function skRestoreFilter(state, args)
+{
+	if (state.customFilter && !args.filter) {
+		throw (new VError('saved aggregator used a custom filter, ' +
+		    'but no filter was specified'));
+	}
+
+	return (args.filter || state.filter);
+}
+
+skAggregator.prototype._flush = function (callback)
+{
+	skEmitStop(this);
+
+	if (this.sa_window !== null) {
+		skWindowClose(this, Infinity);
+		callback();
+		return;
+	}
+
+	skPushResult(this);
+	callback();
+};
+
+/*
+ * Push the current result of aggregator "aggr" (which is not windowed) onto
+ * its stream: either the flattened result or a data point for each row.
+ */
+function skPushResult(aggr)
+{
+	if (aggr.sa_breakdowns !== null) {
+		aggr.push(skBreakdownsResult(aggr, function (child) {
+			return (aggr.sa_aspoints ?
+			    skResultPoints(child, child.sa_value) :
+			    child.result());
+		}));
+		return;
+	}
+
+	if (!aggr.sa_aspoints) {
+		aggr.push(aggr.result());
+		return;
+	}
+
+	skResultPoints(aggr, aggr.sa_value).forEach(function (point) {
+		aggr.push(point);
+	});
+}
+
+/*
+ * Validate the "emitInterval", "emitEvery", and "emitMode" options.
+ */
+function skCheckEmit(args)
+{
+	if (args.emitInterval !== undefined &&
+	    (typeof (args.emitInterval) != 'number' ||
+	    !(args.emitInterval > 0) || !isFinite(args.emitInterval)))
+		throw (new VError('emitInterval must be a positive number'));
+
+	if (args.emitEvery !== undefined &&
+	    (typeof (args.emitEvery) != 'number' ||
+	    Math.floor(args.emitEvery) !== args.emitEvery ||
+	    args.emitEvery <= 0))
+		throw (new VError('emitEvery must be a positive integer'));
+
+	if (args.emitMode !== undefined && args.emitMode != 'cumulative' &&
+	    args.emitMode != 'delta')
+		throw (new VError('emitMode must be "cumulative" or "delta"'));
+
+	if (args.window && (args.emitInterval !== undefined ||
+	    args.emitEvery !== undefined)) {
+		throw (new VError('emitInterval and emitEvery are not ' +
+		    'supported for windowed aggregators'));
+	}
+}
+
+/*
+ * Push a snapshot of aggregator "aggr"'s result onto its stream.  With
+ * "emitMode" "delta", the aggregator then starts over, so that the next
+ * snapshot (or the final result) covers only the data points since this one.
+ */
+function skEmitSnapshot(aggr)
+{
+	aggr.sa_nunemitted = 0;
+	skPushResult(aggr);
+	if (aggr.sa_emitmode == 'delta')
+		skResetValue(aggr);
+}
+
+/*
+ * Stop emitting snapshots of aggregator "aggr" on a timer.
+ */
+function skEmitStop(aggr)
+{
+	if (aggr.sa_emittimer !== null) {
+		clearInterval(aggr.sa_emittimer);
+		aggr.sa_emittimer = null;
+	}
+}
+
+/*
+ * Discard the values accumulated by aggregator "aggr" (but not its stats,
+ * except for the number of groups evicted to make room for others).
+ */
+function skResetValue(aggr)
+{
+	var name;
+
+	if (aggr.sa_breakdowns !== null) {
+		for (name in aggr.sa_breakdowns)
+			skResetValue(aggr.sa_breakdowns[name]);
+		return;
+	}
+
+	aggr.sa_value = skEmptyTree(aggr);
+	if (aggr.sa_maxgroups !== null) {
+		aggr.sa_groups = {};
+		aggr.sa_heap = [];
+		aggr.sa_nevicted = 0;
+	}
+}
+
+/*
+ * Reset the counters reported by aggregator "aggr"'s stats().
+ */
+function skResetStats(aggr)
+{
+	var kind, name;
+
+	aggr.sa_nrecords = 0;
+	aggr.sa_nparsed = 0;
+	aggr.sa_nnonnumeric = 0;
+	aggr.sa_ninvalid = 0;
+	for (kind in aggr.sa_nerrors)
+		aggr.sa_nerrors[kind] = 0;
+	aggr.sa_nfiltered = 0;
+	aggr.sa_nmissing = 0;
+
+	for (name in aggr.sa_breakdowns)
+		skResetStats(aggr.sa_breakdowns[name]);
+}
+
+/*
+ * Returns the flattened result (see above).  "options" is optional and may
+ * specify:
+ *
+ *    dense	If true, return the dense form of the distribution for the last
+ *    		field in "decomps", which must be bucketized.  For each group
+ *    		(i.e., each unique combination of values of the other fields),
+ *    		missing buckets between the lowest and highest buckets are
+ *    		included with the value the reducer reports for no data points
+ *    		(0 for "sum" and "count").
+ *
+ *    min, max	With "dense", extend each group's distribution to include the
+ *    		buckets containing these values, even if those buckets are
+ *    		lower or higher than any bucket with data.  Either may be
+ *    		omitted.
+ *
+ * For windowed aggregators, this returns an array of objects describing the
+ * windows that have not yet closed, in the same form as they're emitted on the
+ * stream (see skAggregator).  For aggregators with "breakdowns", this returns
+ * an object mapping the name of each breakdown to its result.
+ */
+skAggregator.prototype.result = function (options)
+{
+	var self = this;
+
+	if (this.sa_breakdowns !== null) {
+		return (skBreakdownsResult(this, function (child) {
+			return (child.result(options));
+		}));
+	}
+
+	if (this.sa_window === null)
+		return (skResult(this, this.sa_value, options));
+
+	return (skWindowStarts(this).map(function (start) {
+		return (skWindowResult(self, start, options));
+	}));
+};
+
+/*
+ * Returns an object with the current "result" (as from result(), which is
+ * passed "options") and "stats" (as from stats()).  If "options.reset" is true,
+ * the aggregator's values and counters are then cleared, so that the next
+ * snapshot covers only the data points aggregated after this one.  The
+ * aggregator otherwise carries on as before: its configuration, listeners, and
+ * stream are unaffected, and the positions reported with "invalid_object" keep
+ * counting from the start of the input.  Windowed aggregators cannot be reset.
+ */
+skAggregator.prototype.snapshot = function (options)
+{
+	var rv;
+
+	if (options && options.reset && this.sa_window !== null)
+		throw (new VError('cannot reset windowed aggregators'));
+
+	rv = {
+	    'result': this.result(options),
+	    'stats': this.stats()
+	};
+
+	if (options && options.reset) {
+		skResetValue(this);
+		skResetStats(this);
+	}
+
+	return (rv);
+};
+
+/*
+ * Returns the flattened result for tree "root" of aggregator "aggr".  See
+ * skAggregator.prototype.result().
+ */
+function skResult(aggr, root, options)
+{
+	var reducer, rv, field, empty;
+
+	/*
+	 * With multiple values, the reducer's finalized value is an array of
+	 * the values' columns, which we splice into the end of each row.
+	 */
+	reducer = aggr.sa_reducer;
+	if (aggr.sa_decomps.length === 0) {
+		return (aggr.sa_values === null ? [ reducer.finalize(root) ] :
+		    reducer.finalize(root));
+	}
+
+	root = skLimitTree(aggr, root, 0);
+	rv = [];
+	skGroupingIter(aggr, root, function (row) {
+		row[row.length - 1] = reducer.finalize(row[row.length - 1]);
+		rv.push(row);
+	});
+
+	if (options && options.dense) {
+		if (aggr.sa_grouping !== null) {
+			throw (new VError('dense results are not supported ' +
+			    'with "rollup" or "cube"'));
+		}
+		field = aggr.sa_decomps[aggr.sa_decomps.length - 1];
+		if (!aggr.sa_bucketizers.hasOwnProperty(field)) {
+			throw (new VError('dense results require the last ' +
+			    'decomp to be bucketized'));
+		}
+		empty = reducer.finalize(reducer.init());
+		rv = skDensifyResult(aggr.sa_bucketizers[field], rv,
+		    aggr.sa_decomps.length - 1, options, empty);
+	}
+
+	if (aggr.sa_values === null)
+		return (rv);
+
+	return (rv.map(function (row) {
+		return (row.slice(0, -1).concat(row[row.length - 1]));
+	}));
+}
+
+/*
+ * Returns the flattened result for tree "root" of aggregator "aggr" as an array
+ * of data points suitable for passing to another aggregator.
+ */
+function skResultPoints(aggr, root)
+{
+	var rv = [];
+
+	root = skLimitTree(aggr, root, 0);
+	skFlattenIter(aggr, root, function (row) {
+		var point, i, val, field, bucketizer;
+
+		point = { 'fields': {} };
+
+		for (i = 0; i < aggr.sa_decomps.length; i++) {
+			field = aggr.sa_decomps[i];
+
+			if (aggr.sa_bucketizers.hasOwnProperty(field)) {
+				bucketizer = aggr.sa_bucketizers[field];
+				val = bucketizer.bucketMin(row[i]);
+			} else {
+				val = row[i];
+			}
+
+			point.fields[field] = val;
+		}
+
+		mod_assert.equal(i, row.length - 1);
+		val = aggr.sa_reducer.finalize(row[i]);
+		if (aggr.sa_values === null) {
+			point.value = val;
+		} else {
+			point.values = {};
+			aggr.sa_values.forEach(function (name, j) {
+				point.values[name] = val[j];
+			});
+		}
+
+		if (aggr.sa_maxgroups !== null && aggr.sa_nevicted > 0)
+			point.approximate = true;
+		rv.push(point);
+	});
+
+	return (rv);
+}
+
+/*
+ * Add the values accumulated by aggregator "other" into this aggregator.  This
+ * allows data points to be aggregated in parallel (e.g., in separate processes)
+ * and then combined.  Both aggregators must have been configured with the same
+ * decomps, equivalent bucketizers for each bucketized field, the same reducer,
+ * and the same derived fields, normalizers, and handling of missing fields.
+ * "other" is not modified.
+ */
+skAggregator.prototype.merge = function (other)
+{
+	mod_assert.ok(other instanceof skAggregator);
+
+	if (this.sa_breakdowns !== null || other.sa_breakdowns !== null) {
+		skBreakdownsMerge(this, other);
+		return (this);
+	}
+
+	skCheckMergeable(this, other);
+	this.sa_value = skMergeTree(this.sa_reducer, this.sa_decomps.length,
+	    this.sa_value, other.sa_value);
+	this.sa_nrecords += other.sa_nrecords;
+	this.sa_position += other.sa_nrecords;
+	this.sa_nparsed += other.sa_nparsed;
+	this.sa_nnonnumeric += other.sa_nnonnumeric;
+	this.sa_nfiltered += other.sa_nfiltered;
+	this.sa_nmissing += other.sa_nmissing;
+	this.sa_ninvalid += other.sa_ninvalid;
+	skMergeErrors(this, other);
+	return (this);
+};
+
+/*
+ * Add the counts of invalid data points in aggregator "other" to those of
+ * aggregator "aggr".
+ */
+function skMergeErrors(aggr, other)
+{
+	var kind;
+
+	for (kind in aggr.sa_nerrors)
+		aggr.sa_nerrors[kind] += other.sa_nerrors[kind];
+}
+
+/*
+ * Throws an error if aggregator "other" cannot be merged into aggregator
+ * "aggr" (see merge()).
+ */
+function skCheckMergeable(aggr, other)
+{
+	if (aggr.sa_window !== null || other.sa_window !== null)
+		throw (new VError('cannot merge windowed aggregators'));
+
+	if (aggr.sa_maxgroups !== null || other.sa_maxgroups !== null) {
+		throw (new VError('cannot merge aggregators with ' +
+		    '"maxGroups"'));
+	}
+
+	if (!mod_jsprim.deepEqual(aggr.sa_decomps, other.sa_decomps)) {
+		throw (new VError('cannot merge aggregators with different ' +
+		    'decomps ("%s" and "%s")', aggr.sa_decomps.join(','),
+		    other.sa_decomps.join(',')));
+	}
+
+	aggr.sa_decomps.forEach(function (f) {
+		var b1, b2;
+
+		b1 = aggr.sa_bucketizers.hasOwnProperty(f) ?
+		    aggr.sa_bucketizers[f] : null;
+		b2 = other.sa_bucketizers.hasOwnProperty(f) ?
+		    other.sa_bucketizers[f] : null;
+		if (!skBucketizersEqual(b1, b2)) {
+			throw (new VError('cannot merge aggregators with ' +
+			    'different bucketizers for field "%s"', f));
+		}
+	});
+
+	if (aggr.sa_basereducer !== other.sa_basereducer) {
+		throw (new VError('cannot merge aggregators with ' +
+		    'different reducers'));
+	}
+
+	if (!mod_jsprim.deepEqual(aggr.sa_values, other.sa_values)) {
+		throw (new VError('cannot merge aggregators with ' +
+		    'different values'));
+	}
+
+	/*
+	 * Custom derived fields and normalizers are only the same if they're
+	 * the same function.
+	 */
+	if (!mod_jsprim.deepEqual(aggr.sa_derived, other.sa_derived)) {
+		throw (new VError('cannot merge aggregators with ' +
+		    'different derived fields'));
+	}
+
+	if (!mod_jsprim.deepEqual(aggr.sa_normalize, other.sa_normalize)) {
+		throw (new VError('cannot merge aggregators with ' +
+		    'different normalizers'));
+	}
+
+	if (aggr.sa_missing != other.sa_missing ||
+	    aggr.sa_missingkey !== other.sa_missingkey) {
+		throw (new VError('cannot merge aggregators with ' +
+		    'different handling of missing fields'));
+	}
+}
+
+/*
+ * Returns a plain JavaScript object describing this aggregator's configuration
+ * and its accumulated state, suitable for serializing as JSON and later
+ * passing to restoreAggregator().  The reducer's state for each leaf of the
+ * tree must itself be serializable as JSON (as it is for the built-in
+ * reducers).  Bucketizers are saved using their specs (see toSpec()), so
+ * custom bucketizer types must be registered with registerBucketizer() before
+ * the state is restored.
+ */
+skAggregator.prototype.toJSON = function ()
+{
+	var bucketizers, reducer, name, field, derived, normalize, rv, errors;
+	var id;
+
+	if (this.sa_window !== null)
+		throw (new VError('cannot serialize windowed aggregators'));
+
+	if (this.sa_breakdowns !== null)
+		return (skBreakdownsToJSON(this));
+
+	bucketizers = {};
+	for (field in this.sa_bucketizers)
+		bucketizers[field] = this.sa_bucketizers[field].toSpec();
+
+	/* Derived fields computed by custom functions are saved as null. */
+	derived = {};
+	for (field in this.sa_derived) {
+		derived[field] = typeof (this.sa_derived[field]) ==
+		    'function' ? null : mod_jsprim.deepCopy(
+		    this.sa_derived[field]);
+	}
+
+	/* Likewise, custom normalizers are saved as null. */
+	normalize = {};
+	for (field in this.sa_normalize) {
+		normalize[field] = Array.isArray(this.sa_normalize[field]) ?
+		    this.sa_normalize[field].map(skNormalizerToJSON) :
+		    skNormalizerToJSON(this.sa_normalize[field]);
+	}
+
+	/* Custom reducers are saved as null. */
+	reducer = null;
+	for (name in skReducers) {
+		if (skReducers[name] === this.sa_basereducer)
+			reducer = name;
+	}
+
+	rv = {
+	    'decomps': this.sa_decomps.slice(0),
+	    'bucketizers': bucketizers,
+	    'reducer': reducer,
+	    'values': this.sa_values === null ? null :
+	        this.sa_values.slice(0),
+	    'resultsAsPoints': this.sa_aspoints,
+	    'limits': mod_jsprim.deepCopy(this.sa_limits),
+	    'otherKey': this.sa_otherkey,
+	    'missingField': this.sa_missing,
+	    'missingKey': this.sa_missingkey,
+	    'grouping': this.sa_grouping,
+	    'wildcard': this.sa_wildcard,
+	    'filter': typeof (this.sa_filter) == 'function' ? null :
+	        mod_jsprim.deepCopy(this.sa_filter),
+	    'customFilter': typeof (this.sa_filter) == 'function',
+	    'derivedFields': derived,
+	    'normalize': normalize,
+	    'stats': this.stats(),
+	    'position': this.sa_position,
+	    'value': skTreeToJSON(this, 0, this.sa_value)
+	};
+
+	/*
+	 * For bounded aggregators, the groups themselves can be reconstructed
+	 * from the tree, but we need to save each group's error.
+	 */
+	if (this.sa_maxgroups !== null) {
+		errors = {};
+		for (id in this.sa_groups) {
+			if (this.sa_groups[id].sg_error !== 0)
+				errors[id] = this.sa_groups[id].sg_error;
+		}
+		rv['maxGroups'] = this.sa_maxgroups;
+		rv['groupErrors'] = errors;
+	}
+
+	return (rv);
+};
+
+/*
+ * Returns a representation of normalizer "spec" (one step of a field's
+ * normalizers) that can be serialized as JSON.
+ */
+function skNormalizerToJSON(spec)
+{
+	return (typeof (spec) == 'function' ? null :
+	    mod_jsprim.deepCopy(spec));
+}
+
+/*
+ * Returns a representation of "node", a subtree at level "level" of aggregator
+ * "aggr"'s tree, that can be serialized as JSON.  Each Map becomes an array of
+ * [ key, subtree ] pairs so that keys keep their types.
+ */
+function skTreeToJSON(aggr, level, node)
+{
+	var rv;
+
+	if (level == aggr.sa_decomps.length)
+		return (mod_jsprim.deepCopy(node));
+
+	rv = [];
+	node.forEach(function (child, key) {
+		rv.push([ key, skTreeToJSON(aggr, level + 1, child) ]);
+	});
+	return (rv);
+}
+
+/*
+ * Inverse of skTreeToJSON().
+ */
+function skTreeFromJSON(aggr, level, value)
+{
+	var rv;
+
+	if (level == aggr.sa_decomps.length)
+		return (mod_jsprim.deepCopy(value));
+
+	if (!Array.isArray(value))
+		throw (new VError('invalid aggregator state'));
+
+	rv = new Map();
+	value.forEach(function (ent) {
+		if (!Array.isArray(ent) || ent.length != 2)
+			throw (new VError('invalid aggregator state'));
+		rv.set(ent[0], skTreeFromJSON(aggr, level + 1, ent[1]));
+	});
+	return (rv);
+}
+
+/*
+ * Merge the tree "src" (having "depth" levels) into the tree "dst" using the
+ * given reducer, and return the result.  "dst" is modified in place.
+ */
+function skMergeTree(reducer, depth, dst, src)
+{
+	if (depth === 0)
+		return (reducer.merge(dst, src));
+
+	src.forEach(function (child, key) {
+		if (!dst.has(key))
+			dst.set(key, depth > 1 ? new Map() : reducer.init());
+		dst.set(key, skMergeTree(reducer, depth - 1, dst.get(key),
+		    child));
+	});
+
+	return (dst);
+}
+
+/*
+ * Returns a copy of tree "node" (at level "level" of aggregator "aggr"'s tree)
+ * with the aggregator's "limits" applied.  If there are no limits at or below
+ * this level, "node" itself is returned.
+ */
+function skLimitTree(aggr, node, level)
+{
+	var reducer, field, depth, keys, totals, other, kept, rv, i;
+
+	reducer = aggr.sa_reducer;
+	for (i = level; i < aggr.sa_decomps.length; i++) {
+		if (aggr.sa_limits.hasOwnProperty(aggr.sa_decomps[i]))
+			break;
+	}
+
+	if (i == aggr.sa_decomps.length)
+		return (node);
+
+	rv = new Map();
+	field = aggr.sa_decomps[level];
+	if (!aggr.sa_limits.hasOwnProperty(field)) {
+		node.forEach(function (child, k) {
+			rv.set(k, skLimitTree(aggr, child, level + 1));
+		});
+		return (rv);
+	}
+
+	/*
+	 * Rank this level's values by the total for each one's subtree, and
+	 * fold all but the top ones into a single subtree for "otherKey".
+	 * Ties are broken by enumeration order, and values the reducer
+	 * reports as null (e.g., "mean" with no data) sort last.
+	 */
+	depth = aggr.sa_decomps.length - level - 1;
+	totals = new Map();
+	node.forEach(function (child, k) {
+		var total;
+
+		total = reducer.finalize(skTreeTotal(reducer, depth, child));
+		totals.set(k, aggr.sa_values !== null ? total[0] : total);
+	});
+	keys = Array.from(node.keys()).filter(function (k) {
+		return (k !== aggr.sa_otherkey);
+	});
+	keys.sort(function (k1, k2) {
+		var t1 = totals.get(k1);
+		var t2 = totals.get(k2);
+
+		if (t1 === t2)
+			return (0);
+		if (t1 === null)
+			return (1);
+		if (t2 === null)
+			return (-1);
+		return (t2 - t1);
+	});
+
+	if (keys.length <= aggr.sa_limits[field] &&
+	    !node.has(aggr.sa_otherkey)) {
+		keys = Array.from(node.keys());
+	} else {
+		other = depth > 0 ? new Map() : reducer.init();
+		keys.slice(aggr.sa_limits[field]).forEach(function (k) {
+			other = skMergeTree(reducer, depth, other, node.get(k));
+		});
+		if (node.has(aggr.sa_otherkey)) {
+			other = skMergeTree(reducer, depth, other,
+			    node.get(aggr.sa_otherkey));
+		}
+		keys = keys.slice(0, aggr.sa_limits[field]);
+	}
+
+	/* Report the values that were kept in their original order. */
+	kept = new Map();
+	keys.forEach(function (k) { kept.set(k, true); });
+	node.forEach(function (child, k) {
+		if (kept.has(k))
+			rv.set(k, skLimitTree(aggr, child, level + 1));
+	});
+
+	if (other !== undefined)
+		rv.set(aggr.sa_otherkey, skLimitTree(aggr, other, level + 1));
+
+	return (rv);
+}
+
+/*
+ * Returns the reducer state combining all leaves of tree "node", which has
+ * "depth" levels.
+ */
+function skTreeTotal(reducer, depth, node)
+{
+	var state;
+
+	if (depth === 0)
+		return (node);
+
+	state = reducer.init();
+	node.forEach(function (child) {
+		state = reducer.merge(state,
+		    skTreeTotal(reducer, depth - 1, child));
+	});
+
+	return (state);
+}
+
+/*
+ * Validate the "limits" option passed to skAggregator.
+ */
+function skCheckLimits(args)
+{
+	var field, limit;
+
+	if (typeof (args.limits) != 'object')
+		throw (new VError('limits must be an object'));
+
+	for (field in args.limits) {
+		limit = args.limits[field];
+		if (!args.decomps || args.decomps.indexOf(field) == -1) {
+			throw (new VError('limit specified for field "%s" ' +
+			    'not in decomps', field));
+		}
+
+		if (args.bucketizers &&
+		    args.bucketizers.hasOwnProperty(field)) {
+			throw (new VError('cannot limit bucketized field "%s"',
+			    field));
+		}
+
+		if (typeof (limit) != 'number' ||
+		    Math.floor(limit) !== limit || limit <= 0) {
+			throw (new VError('limit for field "%s" must be a ' +
+			    'positive integer', field));
+		}
+	}
+}
+
+/*
+ * Validate that "field", which has a normalizer in "args.normalize", is one of
+ * the fields that results are broken down by.  Otherwise the normalizer would
+ * never be used, which is probably a mistake (like a misspelled field name).
+ */
+function skCheckNormalizeField(args, field)
+{
+	var name;
+
+	if (!args.breakdowns) {
+		if (!args.decomps || args.decomps.indexOf(field) == -1) {
+			throw (new VError('normalizer specified for field ' +
+			    '"%s" not in decomps', field));
+		}
+		return;
+	}
+
+	for (name in args.breakdowns) {
+		if (args.breakdowns[name].indexOf(field) != -1)
+			return;
+	}
+
+	throw (new VError('normalizer specified for field "%s" not in any ' +
+	    'breakdown', field));
+}
+
+/*
+ * Validate the "window" option passed to skAggregator.
+ */
+function skCheckWindow(window)
+{
+	if (typeof (window) != 'object')
+		throw (new VError('window must be an object'));
+
+	if (typeof (window.field) != 'string')
+		throw (new VError('window.field must be a string'));
+
+	if (typeof (window.width) != 'number' || !(window.width > 0))
+		throw (new VError('window.width must be a positive number'));
+
+	if (window.slide !== undefined &&
+	    (typeof (window.slide) != 'number' || !(window.slide > 0) ||
+	    window.slide > window.width)) {
+		throw (new VError('window.slide must be a positive number no ' +
+		    'larger than window.width'));
+	}
+
+	if (window.lateness !== undefined &&
+	    (typeof (window.lateness) != 'number' ||
+	    !(window.lateness >= 0))) {
+		throw (new VError('window.lateness must be a non-negative ' +
+		    'number'));
+	}
+}
+
+/*
+ * Add "value" to the leaf identified by "keys" in each open window containing
+ * data point "datapt", and then close any windows that are complete.
+ */
+function skWindowAggregate(aggr, datapt, keys, value)
+{
+	var window, time, k, last, start, watermark, nadded;
+
+	window = aggr.sa_window;
+	time = skParseTime(window.accessor(datapt['fields']));
+	if (time === null) {
+		aggr.sa_ntimestamp++;
+		aggr.emit('invalid_object', datapt, new VError(
+		    'value for field "%s" is not a valid timestamp',
+		    window.field), aggr.sa_position);
+		return;
+	}
+
+	/*
+	 * Windows start at multiples of "slide".  The first window containing
+	 * "time" is the earliest one that ends after "time", and the last one
+	 * is the latest one that starts at or before "time".  Windows that end
+	 * at or before the watermark have already closed (or would have, had
+	 * they had any data points), so the point is too late for them.
+	 * Starts are computed from an integer multiplier, rather than by
+	 * repeatedly adding "slide", so that a window's start is the same for
+	 * every point in it even when "slide" isn't an integer.  Since the
+	 * division may round either way, we check one extra multiple at each
+	 * end.
+	 */
+	nadded = 0;
+	watermark = aggr.sa_maxtime - window.lateness;
+	k = Math.floor((time - window.width) / window.slide);
+	last = Math.floor(time / window.slide) + 1;
+	for (; k <= last; k++) {
+		start = k * window.slide;
+		if (start > time || start + window.width <= time)
+			continue;
+
+		if (start + window.width <= watermark)
+			continue;
+
+		if (!aggr.sa_windows.hasOwnProperty(start))
+			aggr.sa_windows[start] = skEmptyTree(aggr);
+		aggr.sa_windows[start] = skUpdateTree(aggr,
+		    aggr.sa_windows[start], keys, value);
+		nadded++;
+	}
+
+	if (nadded === 0) {
+		aggr.sa_nlate++;
+		aggr.emit('invalid_object', datapt, new VError(
+		    'data point arrived after its window closed'),
+		    aggr.sa_position);
+		return;
+	}
+
+	if (time > aggr.sa_maxtime) {
+		aggr.sa_maxtime = time;
+		skWindowClose(aggr, time - window.lateness);
+	}
+}
+
+/*
+ * Emit and discard all open windows that end at or before "watermark".
+ */
+function skWindowClose(aggr, watermark)
+{
+	var width = aggr.sa_window.width;
+
+	skWindowStarts(aggr).forEach(function (start) {
+		if (start + width > watermark)
+			return;
+
+		aggr.push(skWindowResult(aggr, start));
+		delete (aggr.sa_windows[start]);
+	});
+}
+
+/*
+ * Returns the start times of all open windows, in increasing order.
+ */
+function skWindowStarts(aggr)
+{
+	return (Object.keys(aggr.sa_windows).map(function (start) {
+		return (+start);
+	}).sort(function (a, b) { return (a - b); }));
+}
+
+/*
+ * Returns the object describing the window starting at "start".
+ */
+function skWindowResult(aggr, start, options)
+{
+	var root = aggr.sa_windows[start];
+
+	return ({
+	    'start': start,
+	    'end': start + aggr.sa_window.width,
+	    'result': aggr.sa_aspoints ? skResultPoints(aggr, root) :
+	        skResult(aggr, root, options)
+	});
+}
+
+/*
+ * Invoke "func" for each row of the flattened representation of tree "root" of
+ * aggregator "aggr".  This is similar to jsprim.flattenIter(), except that the
+ * tree's nodes are Maps and keys for bucketized fields are sorted in increasing
+ * order.  Other keys are reported in the order they were first seen.
+ */
+function skFlattenIter(aggr, root, func)
+{
+	var numeric = aggr.sa_decomps.map(function (field) {
+		return (aggr.sa_bucketizers.hasOwnProperty(field));
+	});
+
+	skDoFlattenIter(root, numeric, [], func);
+}
+
+/*
+ * Walk the tree "node", whose levels are described by "numeric" (an array of
+ * booleans indicating whether the keys at each level are numeric), invoking
+ * "func" for each row.  "row" contains the keys above "node".
+ */
+function skDoFlattenIter(node, numeric, row, func)
+{
+	var keys, each, i;
+
+	if (row.length == numeric.length) {
+		each = row.slice(0);
+		each.push(node);
+		func(each);
+		return;
+	}
+
+	keys = Array.from(node.keys());
+	if (numeric[row.length])
+		keys.sort(function (a, b) { return (a - b); });
+
+	for (i = 0; i < keys.length; i++) {
+		row.push(keys[i]);
+		skDoFlattenIter(node.get(keys[i]), numeric, row, func);
+		row.pop();
+	}
+}
+
+/*
+ * Like skFlattenIter(), but if aggregator "aggr" has "rollup" or "cube", this
+ * also invokes "func" for each subtotal row.  "func" is invoked with the row
+ * and a "mask", an array of booleans indicating which of the row's keys are
+ * actual values, rather than the wildcard.  Rows are grouped by mask, starting
+ * with the detail rows (whose masks are all true) and ending with the grand
+ * total (whose mask is all false).
+ */
+function skGroupingIter(aggr, root, func)
+{
+	var ndecomps, masks, mask, bit, m, i;
+
+	ndecomps = aggr.sa_decomps.length;
+	masks = [];
+	if (aggr.sa_grouping == 'rollup') {
+		for (m = ndecomps; m >= 0; m--) {
+			mask = [];
+			for (i = 0; i < ndecomps; i++)
+				mask.push(i < m);
+			masks.push(mask);
+		}
+	} else if (aggr.sa_grouping == 'cube') {
+		/* The first field is the most significant bit of "m". */
+		for (m = Math.pow(2, ndecomps) - 1; m >= 0; m--) {
+			mask = [];
+			for (i = 0; i < ndecomps; i++) {
+				bit = 1 << (ndecomps - i - 1);
+				mask.push((m & bit) !== 0);
+			}
+			masks.push(mask);
+		}
+	} else {
+		mask = [];
+		for (i = 0; i < ndecomps; i++)
+			mask.push(true);
+		masks.push(mask);
+	}
+
+	masks.forEach(function (msk) {
+		skFlattenMasked(aggr, root, msk, function (row) {
+			func(row, msk);
+		});
+	});
+}
+
+/*
+ * Invoke "func" for each row of the flattened representation of tree "root" of
+ * aggregator "aggr" with the fields whose entries in "mask" are false rolled
+ * up: rows that differ only in those fields are combined, and those fields'
+ * keys are replaced with the wildcard.
+ */
+function skFlattenMasked(aggr, root, mask, func)
+{
+	var reducer, numeric, tree, depth;
+
+	if (mask.every(function (m) { return (m); })) {
+		skFlattenIter(aggr, root, func);
+		return;
+	}
+
+	/*
+	 * Build a new tree whose levels for rolled-up fields have only the
+	 * wildcard key, and then flatten that, treating those levels as
+	 * non-numeric.
+	 */
+	reducer = aggr.sa_reducer;
+	depth = mask.length;
+	tree = new Map();
+	skFlattenIter(aggr, root, function (row) {
+		var o, key, i;
+
+		o = tree;
+		for (i = 0; i < depth; i++) {
+			key = mask[i] ? row[i] : aggr.sa_wildcard;
+			if (!o.has(key)) {
+				o.set(key, i < depth - 1 ? new Map() :
+				    reducer.init());
+			}
+			if (i < depth - 1)
+				o = o.get(key);
+		}
+
+		o.set(key, reducer.merge(o.get(key), row[depth]));
+	});
+
+	/*
+	 * As with SQL's ROLLUP and CUBE, there's always a grand total row,
+	 * even if there were no data points to total up.
+	 */
+	if (tree.size === 0 && mask.every(function (m) { return (!m); })) {
+		func(mask.map(function () {
+			return (aggr.sa_wildcard);
+		}).concat([ reducer.init() ]));
+		return;
+	}
+
+	numeric = aggr.sa_decomps.map(function (field, i) {
+		return (mask[i] && aggr.sa_bucketizers.hasOwnProperty(field));
+	});
+	skDoFlattenIter(tree, numeric, [], func);
+}
+
+/*
+ * Merge the flattened results "results" (an array of values returned by
+ * result()), each having been broken out by the fields named in "decomps", and
+ * return the combined flattened result.  Values in rows having the same keys
+ * are added together, so this only makes sense for results computed with the
+ * "sum" or "count" reducers.  "bucketizers" (optional) is the object passed to
+ * aggregate() to compute the results: columns for the fields it names contain
+ * bucket indexes, which must come from equivalent bucketizers in each result.
+ * Other columns are treated as discrete values.
+ */
+function skMerge(results, decomps, bucketizers)
+{
+	var tree, numeric, rv;
+
+	mod_assert.ok(Array.isArray(results));
+	mod_assert.ok(Array.isArray(decomps));
+
+	if (decomps.length === 0) {
+		tree = 0;
+		results.forEach(function (result) {
+			mod_assert.equal(result.length, 1);
+			tree += result[0];
+		});
+		return ([ tree ]);
+	}
+
+	numeric = decomps.map(function (field) {
+		return (bucketizers !== undefined && bucketizers !== null &&
+		    bucketizers.hasOwnProperty(field));
+	});
+	tree = new Map();
+	results.forEach(function (result, i) {
+		mod_assert.ok(Array.isArray(result));
+		result.forEach(function (row) {
+			var o, j;
+
+			if (!Array.isArray(row) ||
+			    row.length != decomps.length + 1) {
+				throw (new VError('result %d: expected rows ' +
+				    'with %d columns', i, decomps.length + 1));
+			}
+
+			for (j = 0; j < decomps.length; j++) {
+				if (!numeric[j] || typeof (row[j]) == 'number')
+					continue;
+				throw (new VError('result %d: value for ' +
+				    'bucketized field "%s" is not a number',
+				    i, decomps[j]));
+			}
+
+			o = tree;
+			for (j = 0; j < decomps.length - 1; j++) {
+				if (!o.has(row[j]))
+					o.set(row[j], new Map());
+				o = o.get(row[j]);
+			}
+
+			o.set(row[j], (o.has(row[j]) ? o.get(row[j]) : 0) +
+			    row[j + 1]);
+		});
+	});
+
+	rv = [];
+	skDoFlattenIter(tree, numeric, [], function (row) { rv.push(row); });
+	return (rv);
+}
+
+
+/*
+ * Reducers.  See the "reducer" option to skAggregator for the interface.  The
+ * "variance" and "stddev" reducers compute the population (not sample)
+ * statistics, as DTrace's stddev() does.  They keep their state using
+ * Welford's method to avoid losing precision when the values are large
+ * relative to their variance.
+ */
+var skReducers = {
+    'sum': {
+	'init': function () { return (0); },
+	'accumulate': function (state, value) { return (state + value); },
+	'merge': function (state1, state2) { return (state1 + state2); },
+	'finalize': function (state) { return (state); }
+    },
+    'count': {
+	'init': function () { return (0); },
+	'accumulate': function (state) { return (state + 1); },
+	'merge': function (state1, state2) { return (state1 + state2); },
+	'finalize': function (state) { return (state); }
+    },
+    'min': {
+	'init': function () { return (null); },
+	'accumulate': function (state, value) {
+		return (state === null || value < state ? value : state);
+	},
+	'merge': function (state1, state2) {
+		return (state2 === null || (state1 !== null &&
+		    state1 <= state2) ? state1 : state2);
+	},
+	'finalize': function (state) { return (state); }
+    },
+    'max': {
+	'init': function () { return (null); },
+	'accumulate': function (state, value) {
+		return (state === null || value > state ? value : state);
+	},
+	'merge': function (state1, state2) {
+		return (state2 === null || (state1 !== null &&
+		    state1 >= state2) ? state1 : state2);
+	},
+	'finalize': function (state) { return (state); }
+    },
+    'mean': {
+	'init': function () { return ({ 'n': 0, 'sum': 0 }); },
+	'accumulate': function (state, value) {
+		return ({ 'n': state.n + 1, 'sum': state.sum + value });
+	},
+	'merge': function (state1, state2) {
+		return ({
+		    'n': state1.n + state2.n,
+		    'sum': state1.sum + state2.sum
+		});
+	},
+	'finalize': function (state) {
+		return (state.n === 0 ? null : state.sum / state.n);
+	}
+    },
+    'variance': {
+	'init': skVarianceInit,
+	'accumulate': skVarianceAccumulate,
+	'merge': skVarianceMerge,
+	'finalize': skVarianceFinalize
+    },
+    'stddev': {
+	'init': skVarianceInit,
+	'accumulate': skVarianceAccumulate,
+	'merge': skVarianceMerge,
+	'finalize': function (state) {
+		var variance = skVarianceFinalize(state);
+		return (variance === null ? null : Math.sqrt(variance));
+	}
+    }
+};
+
+function skVarianceInit()
+{
+	return ({ 'n': 0, 'mean': 0, 'm2': 0 });
+}
+
+function skVarianceAccumulate(state, value)
+{
+	var n, delta, mean;
+
+	n = state.n + 1;
+	delta = value - state.mean;
+	mean = state.mean + delta / n;
+	return ({
+	    'n': n,
+	    'mean': mean,
+	    'm2': state.m2 + delta * (value - mean)
+	});
+}
+
+function skVarianceMerge(state1, state2)
+{
+	var n, delta;
+
+	n = state1.n + state2.n;
+	if (n === 0)
+		return (skVarianceInit());
+
+	delta = state2.mean - state1.mean;
+	return ({
+	    'n': n,
+	    'mean': state1.mean + delta * state2.n / n,
+	    'm2': state1.m2 + state2.m2 +
+	        delta * delta * state1.n * state2.n / n
+	});
+}
+
+function skVarianceFinalize(state)
+{
+	return (state.n === 0 ? null : state.m2 / state.n);
+}
+
+/*
+ * Returns a reducer that applies "reducer" separately to each of "n" value
+ * columns.  Its state is an array of the states of "reducer", and it
+ * accumulates arrays of "n" values.
+ */
+function skVectorReducer(reducer, n)
+{
+	return ({
+	    'init': function () {
+		var rv, i;
+
+		rv = [];
+		for (i = 0; i < n; i++)
+			rv.push(reducer.init());
+		return (rv);
+	    },
+	    'accumulate': function (state, values) {
+		return (state.map(function (s, i) {
+			return (reducer.accumulate(s, values[i]));
+		}));
+	    },
+	    'merge': function (state1, state2) {
+		return (state1.map(function (s, i) {
+			return (reducer.merge(s, state2[i]));
+		}));
+	    },
+	    'finalize': function (state) {
+		return (state.map(function (s) {
+			return (reducer.finalize(s));
+		}));
+	    }
+	});
+}
+
+/*
+ * Returns an array of the values of data point "datapt" for each of the value
+ * columns of aggregator "aggr", or an Error if the point doesn't have them.
+ */
+function skPluckValues(aggr, datapt)
+{
+	var values, rv, i;
+
+	values = datapt['values'];
+	if (typeof (values) != 'object' || values === null)
+		return (new VError('data point "values" is not an object'));
+
+	rv = [];
+	for (i = 0; i < aggr.sa_values.length; i++) {
+		if (typeof (values[aggr.sa_values[i]]) != 'number' ||
+		    isNaN(values[aggr.sa_values[i]])) {
+			return (new VError('data point value "%s" is not a ' +
+			    'number', aggr.sa_values[i]));
+		}
+
+		rv.push(values[aggr.sa_values[i]]);
+	}
+
+	return (rv);
+}
+
+/*
+ * Validate the "reducer" option passed to skAggregator.
+ */
+function skCheckReducer(reducer)
+{
+	if (typeof (reducer) == 'string') {
+		if (!skReducers.hasOwnProperty(reducer))
+			throw (new VError('unknown reducer: "%s"', reducer));
+		return;
+	}
+
+	if (typeof (reducer) != 'object')
+		throw (new VError('reducer must be a string or an object'));
+
+	[ 'init', 'accumulate', 'merge', 'finalize' ].forEach(function (f) {
+		if (typeof (reducer[f]) != 'function')
+			throw (new VError('reducer must implement "%s"', f));
+	});
+}
+
+/*
+ * Built-in transforms for derived fields.  Each one takes the value of the
+ * source field and returns the value of the derived field, or undefined if the
+ * source value can't be transformed.
+ *
+ *    hour		hour of the day (0 to 23, in UTC) of a timestamp, which
+ *    			may be a number of milliseconds since the epoch or a
+ *    			string that Date.parse() understands
+ *
+ *    date		date (as "YYYY-MM-DD", in UTC) of a timestamp
+ *
+ *    domain		hostname part of a URL
+ *
+ *    statusClass	class of an HTTP status code (e.g., "4xx" for 404)
+ */
+var skTransforms = {
+    'hour': function (value) {
+	var time = skParseTime(value);
+	return (time === null ? undefined : new Date(time).getUTCHours());
+    },
+    'date': function (value) {
+	var time = skParseTime(value);
+	return (time === null ? undefined :
+	    new Date(time).toISOString().substr(0, 10));
+    },
+    'domain': function (value) {
+	if (typeof (value) != 'string')
+		return (undefined);
+	return (mod_url.parse(value).hostname || undefined);
+    },
+    'statusClass': function (value) {
+	var code = typeof (value) == 'string' ? parseInt(value, 10) : value;
+	if (typeof (code) != 'number' || !isFinite(code) ||
+	    code < 100 || code > 599)
+		return (undefined);
+	return (Math.floor(code / 100) + 'xx');
+    }
+};
+
+/*
+ * Returns the number of milliseconds since the epoch for "value", which may be
+ * a number or a string that Date.parse() understands, or null if it's neither.
+ */
+function skParseTime(value)
+{
+	if (typeof (value) == 'string')
+		value = Date.parse(value);
+
+	if (typeof (value) != 'number' || !isFinite(value))
+		return (null);
+
+	return (value);
+}
+
+/*
+ * Validate the definition "spec" of derived field "name" (see skAggregator) and
+ * return a function that takes a data point and returns the field's value.
+ */
+function skCompileDerived(name, spec)
+{
+	var transform, accessor;
+
+	if (typeof (spec) == 'function')
+		return (spec);
+
+	if (typeof (spec) != 'object' || spec === null ||
+	    typeof (spec.transform) != 'string' ||
+	    typeof (spec.field) != 'string') {
+		throw (new VError('derived field "%s" must be a function or ' +
+		    'an object with "transform" and "field"', name));
+	}
+
+	if (!skTransforms.hasOwnProperty(spec.transform)) {
+		throw (new VError('derived field "%s": unknown transform "%s"',
+		    name, spec.transform));
+	}
+
+	transform = skTransforms[spec.transform];
+	accessor = skCompileAccessor(spec.field);
+	return (function (datapt) {
+		return (transform(accessor(datapt['fields'])));
+	});
+}
+
+/*
+ * Returns a function that takes an object and returns the value of its field
+ * "field", which may be a dotted path into nested objects.  This behaves like
+ * jsprim.pluck(), including preferring a property whose name contains dots to
+ * a nested property, but does the work of parsing the path only once.
+ */
+function skCompileAccessor(field)
+{
+	var i, head, rest;
+
+	i = field.indexOf('.');
+	if (i == -1) {
+		return (function (obj) {
+			return (typeof (obj) == 'object' && obj !== null &&
+			    skHasOwn.call(obj, field) ? obj[field] : undefined);
+		});
+	}
+
+	head = field.substr(0, i);
+	rest = skCompileAccessor(field.substr(i + 1));
+	return (function (obj) {
+		if (typeof (obj) != 'object' || obj === null)
+			return (undefined);
+		if (skHasOwn.call(obj, field))
+			return (obj[field]);
+		return (skHasOwn.call(obj, head) ? rest(obj[head]) : undefined);
+	});
+}
+
+var skHasOwn = Object.prototype.hasOwnProperty;
+
+/*
+ * Returns a function that takes a data point and returns the value of decomp
+ * "field", which may be one of the derived fields "derived" (an object mapping
+ * names to functions returned by skCompileDerived()).  If "normalizers" (an
+ * object mapping names to functions returned by skCompileNormalizer()) has an
+ * entry for the field, values other than undefined are normalized with it.
+ */
+function skDecompAccessor(derived, normalizers, field)
+{
+	var accessor, fieldaccessor, normalizer;
+
+	if (derived.hasOwnProperty(field)) {
+		accessor = derived[field];
+	} else {
+		fieldaccessor = skCompileAccessor(field);
+		accessor = function (datapt) {
+			return (fieldaccessor(datapt['fields']));
+		};
+	}
+
+	if (!normalizers.hasOwnProperty(field))
+		return (accessor);
+
+	normalizer = normalizers[field];
+	return (function (datapt) {
+		var value = accessor(datapt);
+		return (value === undefined ? undefined : normalizer(value));
+	});
+}
+
+/*
+ * Built-in normalizers, which may be named in the "normalize" option (see
+ * skAggregator).  These are only applied to strings.
+ */
+var skNormalizers = {
+    'lowercase': function (value) { return (value.toLowerCase()); },
+    'uppercase': function (value) { return (value.toUpperCase()); },
+    'trim': function (value) { return (value.trim()); }
+};
+
+/*
+ * Validate normalizer "spec" for field "field" (see skAggregator), which may be
+ * a single normalizer or an array of them, and return a function that takes a
+ * value and returns its normalized form.
+ */
+function skCompileNormalizer(field, spec)
+{
+	var funcs;
+
+	if (!Array.isArray(spec))
+		return (skCompileNormalizerStep(field, spec));
+
+	funcs = spec.map(skCompileNormalizerStep.bind(null, field));
+	return (function (value) {
+		var i;
+
+		for (i = 0; i < funcs.length && value !== undefined; i++)
+			value = funcs[i](value);
+		return (value);
+	});
+}
+
+/*
+ * Returns the function for one normalizer "spec" for field "field".
+ */
+function skCompileNormalizerStep(field, spec)
+{
+	var builtin, re, aliases;
+
+	if (typeof (spec) == 'function')
+		return (spec);
+
+	if (typeof (spec) == 'string') {
+		if (!skNormalizers.hasOwnProperty(spec)) {
+			throw (new VError('normalizer for field "%s": ' +
+			    'unknown normalizer "%s"', field, spec));
+		}
+
+		builtin = skNormalizers[spec];
+		return (function (value) {
+			return (typeof (value) == 'string' ?
+			    builtin(value) : value);
+		});
+	}
+
+	if (typeof (spec) == 'object' && spec !== null &&
+	    typeof (spec.regex) == 'string') {
+		try {
+			re = new RegExp(spec.regex, spec.flags);
+		} catch (ex) {
+			throw (new VError(ex, 'normalizer for field "%s": ' +
+			    'invalid regex', field));
+		}
+
+		return (function (value) {
+			var m;
+
+			if (typeof (value) != 'string')
+				return (value);
+
+			re.lastIndex = 0;
+			m = re.exec(value);
+			if (m === null)
+				return (value);
+			return (m.length > 1 ? m[1] : m[0]);
+		});
+	}
+
+	if (typeof (spec) == 'object' && spec !== null &&
+	    typeof (spec.alias) == 'object' && spec.alias !== null) {
+		aliases = mod_jsprim.deepCopy(spec.alias);
+		return (function (value) {
+			return (typeof (value) == 'string' &&
+			    skHasOwn.call(aliases, value) ?
+			    aliases[value] : value);
+		});
+	}
+
+	throw (new VError('normalizer for field "%s" must be a function, ' +
+	    'the name of a built-in normalizer, or an object with "regex" ' +
+	    'or "alias"', field));
+}
+
+/*
+ * Filters.  A declarative filter is an object with a single property naming
+ * the operator, whose value is the operator's arguments:
+ *
+ *    eq, ne, lt, le, gt, ge	[ field, value ]: true if the value of "field"
+ *    				(which may be a dotted path, as with decomps)
+ *    				is equal to, not equal to, less than, less than
+ *    				or equal to, greater than, or greater than or
+ *    				equal to "value".  Values are compared with
+ *    				JavaScript's strict equality and relational
+ *    				operators.
+ *
+ *    and, or			[ filter, ... ]: true if all (for "and") or any
+ *    				(for "or") of the filters are true
+ *
+ *    not			filter: true if the filter is false
+ *
+ * The empty object matches all data points.  skCompileFilter() validates a
+ * declarative filter and returns a function that takes a data point and
+ * returns whether the point matches the filter.
+ */
+var skFilterOps = {
+    'eq': function (a, b) { return (a === b); },
+    'ne': function (a, b) { return (a !== b); },
+    'lt': function (a, b) { return (a < b); },
+    'le': function (a, b) { return (a <= b); },
+    'gt': function (a, b) { return (a > b); },
+    'ge': function (a, b) { return (a >= b); }
+};
+
+function skCompileFilter(filter)
+{
+	var keys, op, arg, accessor, value, compare, subfilters, subfilter;
+
+	if (typeof (filter) != 'object' || filter === null ||
+	    Array.isArray(filter))
+		throw (new VError('invalid filter: expected an object'));
+
+	keys = Object.keys(filter);
+	if (keys.length === 0)
+		return (function () { return (true); });
+
+	if (keys.length > 1) {
+		throw (new VError('invalid filter: expected exactly one ' +
+		    'operator, but found "%s"', keys.join(', ')));
+	}
+
+	op = keys[0];
+	arg = filter[op];
+	if (skFilterOps.hasOwnProperty(op)) {
+		if (!Array.isArray(arg) || arg.length != 2 ||
+		    typeof (arg[0]) != 'string') {
+			throw (new VError('invalid filter: "%s" expects ' +
+			    '[ field, value ]', op));
+		}
+
+		accessor = skCompileAccessor(arg[0]);
+		value = arg[1];
+		compare = skFilterOps[op];
+		return (function (datapt) {
+			return (compare(accessor(datapt['fields']), value));
+		});
+	}
+
+	if (op == 'and' || op == 'or') {
+		if (!Array.isArray(arg) || arg.length === 0) {
+			throw (new VError('invalid filter: "%s" expects a ' +
+			    'non-empty array of filters', op));
+		}
+
+		subfilters = arg.map(skCompileFilter);
+		if (op == 'and') {
+			return (function (datapt) {
+				return (subfilters.every(
+				    function (f) { return (f(datapt)); }));
+			});
+		}
+
+		return (function (datapt) {
+			return (subfilters.some(
+			    function (f) { return (f(datapt)); }));
+		});
+	}
+
+	if (op == 'not') {
+		subfilter = skCompileFilter(arg);
+		return (function (datapt) { return (!subfilter(datapt)); });
+	}
+
+	throw (new VError('invalid filter: unknown operator "%s"', op));
+}
+
+
+/*
+ * Bucketizers.  skBucketizer is an abstract class.  Child classes must
+ * implement the almost-inverse functions:
+ *
+ *     _bucketIndexToMin(bidx)		returns the minimum value in bucket
+ *     					number "bidx"
+ *
+ *     _valueToBucketIndex(value)	returns the bucket index containing
+ *     					value "value"
+ *
+ * Child classes should also implement toSpec(), which returns the bucketizer's
+ * spec (see bucketizerFromSpec()).
+ *
+ * Child classes need only handle non-negative values and bucket indexes.  Each
+ * bucket "i" contains values in the half-open interval [bucketMin(i),
+ * bucketMin(i + 1)).  Negative values are handled here by mirroring the
+ * non-negative buckets around zero, the way DTrace's quantize() does: bucket
+ * -i covers the values in bucket i, negated, so it's closed at the top rather
+ * than the bottom.  In a power-of-two distribution, for example, bucket 2
+ * covers 2 and 3, and bucket -2 covers -2 and -3.  Negative values too close to
+ * zero for bucket -1 land in bucket 0.  Similarly, bucketMin(-i) and
+ * bucketMax(-i) are -bucketMax(i) and -bucketMin(i), so for negative buckets
+ * it's bucketMax() that's exact and bucketMin() that's approximate.  Child
+ * classes may instead handle negative values themselves (as the linear
+ * bucketizer does) by setting "_signed" to true in their prototype.
+ *
+ * Internally, distributions are stored in compact form (see above), and only
+ * buckets that have had non-zero values will be included.  By default,
+ * distributions have no minimum or maximum, but rather grow as needed.  Like
+ * DTrace distributions, they can instead be clamped at either end using the
+ * optional "min" and "max" arguments, which must fall on bucket boundaries
+ * (and, for bucketizers that mirror negative values, must not be negative).
+ * All values less than "min" fall into a single underflow bucket, whose index
+ * is one less than that of the bucket starting at "min" and whose minimum is
+ * -Infinity.  All values greater than or equal to "max" fall into a single
+ * overflow bucket, which is the bucket starting at "max" and whose maximum is
+ * Infinity.  Child classes must set whatever state _bucketIndexToMin() and
+ * _valueToBucketIndex() depend on before invoking this constructor.
+ */
+function skBucketizer(min, max)
+{
+	mod_assert.equal(typeof (this._bucketIndexToMin), 'function',
+	    'children of "skBucketizer" must implement _bucketIndexToMin');
+	mod_assert.equal(typeof (this._valueToBucketIndex), 'function',
+	    'children of "skBucketizer" must implement _valueToBucketIndex');
+
+	this.sb_min = null;
+	this.sb_max = null;
+
+	if (min !== undefined && min !== null) {
+		this.sb_minidx = this._checkBoundary('min', min);
+		this.sb_min = min;
+	}
+
+	if (max !== undefined && max !== null) {
+		this.sb_maxidx = this._checkBoundary('max', max);
+		this.sb_max = max;
+	}
+
+	if (this.sb_min !== null && this.sb_max !== null &&
+	    this.sb_min >= this.sb_max) {
+		throw (new VError('"min" must be less than "max"'));
+	}
+}
+
+/*
+ * Validates that "value" (passed as argument "name") is a bucket boundary, and
+ * returns the index of the bucket starting at "value".
+ */
+skBucketizer.prototype._checkBoundary = function (name, value)
+{
+	var bidx;
+
+	if (typeof (value) != 'number' || !isFinite(value))
+		throw (new VError('"%s" must be a finite number', name));
+
+	if (value < 0 && !this._signed) {
+		throw (new VError('"%s" (%d) must not be negative, since ' +
+		    'negative buckets are mirrored', name, value));
+	}
+
+	bidx = this._unclampedBucketIndex(value);
+	if (this._unclampedBucketMin(bidx) !== value) {
+		throw (new VError('"%s" (%d) must be a bucket boundary',
+		    name, value));
+	}
+
+	return (bidx);
+};
+
+/*
+ * Adds this bucketizer's "min" and "max" (if any) to "spec" and returns it.
+ * This is for use by child classes' toSpec() methods.
+ */
+skBucketizer.prototype._clampSpec = function (spec)
+{
+	if (this.sb_min !== null)
+		spec['min'] = this.sb_min;
+	if (this.sb_max !== null)
+		spec['max'] = this.sb_max;
+	return (spec);
+};
+
+/*
+ * Returns a spec from which bucketizerFromSpec() can construct an equivalent
+ * bucketizer.
+ */
+skBucketizer.prototype.toSpec = function ()
+{
+	throw (new VError('bucketizer does not implement toSpec()'));
+};
 
-			if (self.sa_bucketizers.hasOwnProperty(field)) {
-				bucketizer = self.sa_bucketizers[field];
+/*
+ * Child classes that handle negative values natively override this.
+ */
+skBucketizer.prototype._signed = false;
 
-				/*
-				 * The "+" conversion is necessary because the
-				 * value has been turned into a string by virtue
-				 * of using it as an object key.  bucketMin()
-				 * (reasonably) assumes its input is numeric.
-				 */
-				val = bucketizer.bucketMin(+row[i]);
-			} else {
-				val = row[i];
-			}
+/*
+ * Returns the index of the bucket containing value "value".
+ */
+skBucketizer.prototype.bucketIndex = function (value)
+{
+	mod_assert.equal(typeof (value), 'number');
 
-			point.fields[self.sa_decomps[i]] = val;
-		}
+	if (this.sb_min !== null && value < this.sb_min)
+		return (this.sb_minidx - 1);
 
-		mod_assert.equal(i, row.length - 1);
-		mod_assert.equal(typeof (row[i]), 'number');
-		point.value = row[i];
-		self.push(point);
-	    });
+	if (this.sb_max !== null && value >= this.sb_max)
+		return (this.sb_maxidx);
 
-	callback();
+	return (this._unclampedBucketIndex(value));
 };
 
-skAggregator.prototype.result = function ()
+skBucketizer.prototype._unclampedBucketIndex = function (value)
 {
-	var self, rv;
-
-	self = this;
-	rv = mod_jsprim.flattenObject(this.sa_value,
-	    this.sa_decomps.length);
-	rv.forEach(function (row) {
-		var i, field;
+	var bidx;
 
-		/*
-		 * Convert numeric values that were turned into strings back
-		 * into numbers.
-		 */
-		for (i = 0; i < self.sa_decomps.length; i++) {
-			field = self.sa_decomps[i];
-			if (!self.sa_bucketizers.hasOwnProperty(field))
-				continue;
+	if (value >= 0 || this._signed)
+		return (this._valueToBucketIndex(value));
 
-			row[i] = +row[i];
-		}
-	});
-	return (rv);
+	/* Avoid returning -0 for values in bucket 0. */
+	bidx = this._valueToBucketIndex(-value);
+	return (bidx === 0 ? 0 : -bidx);
 };
 
-
 /*
- * Bucketizers.  skBucketizer is an abstract class.  Child classes must
- * implement the almost-inverse functions:
- *
- *     _bucketIndexToMin(bidx)		returns the minimum value in bucket
- *     					number "bidx"
- *
- *     _valueToBucketIndex(value)	returns the bucket index containing
- *     					value "value"
- *
- * Internally, distributions are stored in compact form (see above), and only
- * buckets that have had non-zero values will be included.  The interfaces here
- * differ from the corresponding DTrace distributions in that they have no "min"
- * and "max" arguments, but rather grow as needed.  (This also means they cannot
- * be clamped at either end the way DTrace distributions always are.  If useful,
- * we could add support for that.)
+ * Returns the minimum value contained in bucket "i".  For mirrored negative
+ * buckets, this is an approximation (see skBucketizer above).
  */
-function skBucketizer()
+skBucketizer.prototype.bucketMin = function (i)
 {
-	mod_assert.equal(typeof (this._bucketIndexToMin), 'function',
-	    'children of "skBucketizer" must implement _bucketIndexToMin');
-	mod_assert.equal(typeof (this._valueToBucketIndex), 'function',
-	    'children of "skBucketizer" must implement _valueToBucketIndex');
-}
+	mod_assert.equal(typeof (i), 'number');
 
-/*
- * Returns the minimum value contained in bucket "i".
- */
-skBucketizer.prototype.bucketMin = function (i)
+	if (this.sb_min !== null && i < this.sb_minidx)
+		return (-Infinity);
+
+	if (this.sb_max !== null && i > this.sb_maxidx)
+		return (Infinity);
+
+	return (this._unclampedBucketMin(i));
+};
+
+skBucketizer.prototype._unclampedBucketMin = function (i)
 {
-	mod_assert.ok(i >= 0);
-	return (this._bucketIndexToMin(i));
+	if (i >= 0 || this._signed)
+		return (this._bucketIndexToMin(i));
+	return (-skApproximateMax(this._bucketIndexToMin(-i),
+	    this._bucketIndexToMin(-i + 1)));
 };
 
 /*
@@ -547,19 +3560,46 @@ skBucketizer.prototype.bucketMin = function (i)
  */
 skBucketizer.prototype.bucketMax = function (i)
 {
-	var min, nextmin;
+	var nextmin;
+
+	mod_assert.equal(typeof (i), 'number');
+
+	if (this.sb_max !== null && i >= this.sb_maxidx)
+		return (Infinity);
 
-	mod_assert.ok(i >= 0);
-	min = this._bucketIndexToMin(i);
-	mod_assert.ok(min >= 0);
-	nextmin = this._bucketIndexToMin(i + 1);
+	/*
+	 * The underflow bucket has no finite minimum, so treat it as being the
+	 * same size as the bucket starting at "min".
+	 */
+	if (this.sb_min !== null && i < this.sb_minidx) {
+		nextmin = this.sb_min;
+		return (skApproximateMax(
+		    nextmin - (this._unclampedBucketMin(i + 2) - nextmin),
+		    nextmin));
+	}
+
+	if (i >= 0 || this._signed) {
+		return (skApproximateMax(this._bucketIndexToMin(i),
+		    this._bucketIndexToMin(i + 1)));
+	}
+
+	/* Mirrored negative buckets are closed at the top. */
+	return (-this._bucketIndexToMin(-i));
+};
+
+/*
+ * Returns the approximate maximum (see bucketMax()) of a bucket covering
+ * [min, nextmin).
+ */
+function skApproximateMax(min, nextmin)
+{
 	mod_assert.ok(nextmin > min);
 
 	if (nextmin - min >= 1)
 		return (nextmin - 1);
 
 	return (nextmin - ((nextmin - min) / 10));
-};
+}
 
 /*
  * Given a distribution "rv", a value in the distribution "value" (which
@@ -569,47 +3609,75 @@ skBucketizer.prototype.bucketMax = function (i)
  */
 skBucketizer.prototype.bucketize = function (rv, value, card)
 {
-	var i, ent, bmin, bmax, bidx;
+	var i, ent, bidx;
 
 	mod_assert.ok(Array.isArray(rv));
 	mod_assert.equal(typeof (value), 'number');
 	mod_assert.equal(typeof (card), 'number');
 	mod_assert.ok(!isNaN(value) && !isNaN(card));
 
+	/*
+	 * Buckets are found by index rather than by comparing "value" against
+	 * their bounds, since mirrored negative buckets are closed at the top.
+	 */
+	bidx = this.bucketIndex(value);
 	for (i = 0; i < rv.length; i++) {
-		bmin = this.bucketMin(rv[i][0]);
-		bmax = this.bucketMin(rv[i][0] + 1);
-
-		if (value >= bmin && value < bmax) {
+		if (rv[i][0] === bidx) {
 			rv[i][1] += card;
 			return;
 		}
 
-		if (value < bmin)
+		if (rv[i][0] > bidx)
 			break;
 	}
 
-	mod_assert.ok(i == rv.length || value < bmin);
-	mod_assert.ok(i === 0 || value >= this.bucketMin(rv[i - 1][0] + 1));
-	bidx = this._valueToBucketIndex(value);
-	mod_assert.ok(value >= this.bucketMin(bidx));
-	mod_assert.ok(value < this.bucketMin(bidx + 1));
 	ent = [ bidx, card ];
 	rv.splice(i, 0, ent);
 	return (rv);
 };
 
 /*
- * Linear bucketizers group numbers into buckets of size "step".
+ * Returns true iff bucketizers "b1" and "b2" (either of which may be null) are
+ * configured identically, meaning that they assign values to the same bucket
+ * indexes.
  */
-function skLinearBucketizer(step)
+function skBucketizersEqual(b1, b2)
+{
+	var k1, k2;
+
+	if (b1 === null || b2 === null)
+		return (b1 === b2);
+
+	if (b1.constructor !== b2.constructor)
+		return (false);
+
+	k1 = Object.keys(b1).sort();
+	k2 = Object.keys(b2).sort();
+	return (mod_jsprim.deepEqual(k1, k2) && k1.every(function (k) {
+		return (mod_jsprim.deepEqual(b1[k], b2[k]));
+	}));
+}
+
+/*
+ * Linear bucketizers group numbers into buckets of size "step".  Negative
+ * values fall naturally into buckets with negative indexes.  "min" and "max"
+ * are optional (see skBucketizer above) and must be multiples of "step".
+ */
+function skLinearBucketizer(step, min, max)
 {
 	this.lb_step = step;
-	skBucketizer.call(this);
+	skBucketizer.call(this, min, max);
 }
 
 mod_util.inherits(skLinearBucketizer, skBucketizer);
 
+skLinearBucketizer.prototype._signed = true;
+
+skLinearBucketizer.prototype.toSpec = function ()
+{
+	return (this._clampSpec({ 'type': 'linear', 'step': this.lb_step }));
+};
+
 skLinearBucketizer.prototype._bucketIndexToMin = function (bidx)
 {
 	return (this.lb_step * bidx);
@@ -627,9 +3695,10 @@ skLinearBucketizer.prototype._valueToBucketIndex = function (value)
  * range from [0, 10); the next twenty buckets range from [10, 100) by 5; the
  * next twenty buckets range from [100, 1000) by 50; and so on.  This
  * distribution's size scales like an exponential one, with the precision of
- * the linear one within each order of magnitude.
+ * the linear one within each order of magnitude.  "min" and "max" are optional
+ * (see skBucketizer above).
  */
-function skLogLinearBucketizer(base, nbuckets)
+function skLogLinearBucketizer(base, nbuckets, min, max)
 {
 	var maxorder;
 
@@ -641,13 +3710,22 @@ function skLogLinearBucketizer(base, nbuckets)
 	mod_assert.ok(maxorder % nbuckets === 0,
 	    '"nbuckets" must evenly divide a power of "base"');
 
-	skBucketizer.call(this);
 	this.lb_base = base;
 	this.lb_nbuckets = nbuckets;
+	skBucketizer.call(this, min, max);
 }
 
 mod_util.inherits(skLogLinearBucketizer, skBucketizer);
 
+skLogLinearBucketizer.prototype.toSpec = function ()
+{
+	return (this._clampSpec({
+	    'type': 'loglinear',
+	    'base': this.lb_base,
+	    'nbuckets': this.lb_nbuckets
+	}));
+};
+
 skLogLinearBucketizer.prototype._valueToBucketIndex = function (value)
 {
 	var totbuckets;		/* bucket index reached so far */
@@ -730,6 +3808,11 @@ function skP2Bucketizer()
 
 mod_util.inherits(skP2Bucketizer, skBucketizer);
 
+skP2Bucketizer.prototype.toSpec = function ()
+{
+	return ({ 'type': 'p2' });
+};
+
 skP2Bucketizer.prototype._bucketIndexToMin = function (bidx)
 {
 	return (bidx === 0 ? 0 : Math.pow(2, bidx - 1));
@@ -739,7 +3822,7 @@ skP2Bucketizer.prototype._valueToBucketIndex = function (value)
 {
 	var thresh, count;
 
-	if (value === 0)
+	if (value < 1)
 		return (0);
 
 	thresh = 1;
@@ -756,14 +3839,14 @@ skP2Bucketizer.prototype._valueToBucketIndex = function (value)
  * Constructors for bucketizers.
  */
 
-function skMakeLinearBucketizer(step)
+function skMakeLinearBucketizer(step, min, max)
 {
-	return (new skLinearBucketizer(step));
+	return (new skLinearBucketizer(step, min, max));
 }
 
-function skMakeLogLinearBucketizer(base, nbuckets)
+function skMakeLogLinearBucketizer(base, nbuckets, min, max)
 {
-	return (new skLogLinearBucketizer(base, nbuckets));
+	return (new skLogLinearBucketizer(base, nbuckets, min, max));
 }
 
 function skMakeP2Bucketizer()
@@ -771,14 +3854,115 @@ function skMakeP2Bucketizer()
 	return (new skP2Bucketizer());
 }
 
+/*
+ * Bucketizer specs.  A spec is a plain object describing a bucketizer's type
+ * and configuration, suitable for including in a configuration file or
+ * serializing as JSON along with results.  The built-in types are:
+ *
+ *     { "type": "linear", "step": 10 }		(see skLinearBucketizer)
+ *
+ *     { "type": "loglinear", "base": 10, "nbuckets": 20 }
+ *     						(see skLogLinearBucketizer)
+ *
+ * Both of these also accept optional "min" and "max" properties (see
+ * skBucketizer).
+ *
+ *     { "type": "p2" }				(see skP2Bucketizer)
+ *
+ * Each bucketizer's toSpec() method returns its spec.  Applications can define
+ * additional types using registerBucketizer().
+ */
+var skBucketizerTypes = {
+    'linear': function (spec) {
+	skCheckSpecNumber(spec, 'step');
+	return (skMakeLinearBucketizer(spec.step, spec.min, spec.max));
+    },
+    'loglinear': function (spec) {
+	var maxorder;
+
+	skCheckSpecNumber(spec, 'base');
+	skCheckSpecNumber(spec, 'nbuckets');
+	if (spec.base < 2 || spec.nbuckets % spec.base !== 0) {
+		throw (new VError('bucketizer type "loglinear": "base" must ' +
+		    'be at least 2 and evenly divide "nbuckets"'));
+	}
+
+	for (maxorder = spec.base; maxorder < spec.nbuckets;
+	    maxorder *= spec.base)
+		continue;
+	if (maxorder % spec.nbuckets !== 0) {
+		throw (new VError('bucketizer type "loglinear": "nbuckets" ' +
+		    'must evenly divide a power of "base"'));
+	}
+
+	return (skMakeLogLinearBucketizer(spec.base, spec.nbuckets,
+	    spec.min, spec.max));
+    },
+    'p2': function (spec) {
+	if (spec.min !== undefined || spec.max !== undefined) {
+		throw (new VError('bucketizer type "p2" does not support ' +
+		    '"min" or "max"'));
+	}
+
+	return (skMakeP2Bucketizer());
+    }
+};
+
+function skCheckSpecNumber(spec, prop)
+{
+	if (typeof (spec[prop]) != 'number' || !(spec[prop] > 0) ||
+	    !isFinite(spec[prop])) {
+		throw (new VError('bucketizer type "%s": "%s" must be a ' +
+		    'positive number', spec.type, prop));
+	}
+}
+
+/*
+ * Construct a bucketizer from spec "spec".
+ */
+function skBucketizerFromSpec(spec)
+{
+	if (typeof (spec) != 'object' || spec === null)
+		throw (new VError('bucketizer spec must be an object'));
+
+	if (typeof (spec.type) != 'string')
+		throw (new VError('bucketizer spec must have a "type"'));
+
+	if (!skBucketizerTypes.hasOwnProperty(spec.type))
+		throw (new VError('unknown bucketizer type: "%s"', spec.type));
+
+	return (skBucketizerTypes[spec.type](spec));
+}
+
+/*
+ * Register a new bucketizer type called "type".  "func" is invoked with a spec
+ * whose "type" is "type" and must return a bucketizer.  Bucketizers are
+ * typically implemented by inheriting from skinner.Bucketizer (see
+ * skBucketizer above), and they must implement toSpec() to return a spec from
+ * which "func" can construct an equivalent bucketizer.
+ */
+function skRegisterBucketizer(type, func)
+{
+	mod_assert.equal(typeof (type), 'string');
+	mod_assert.equal(typeof (func), 'function');
+	mod_assert.ok(!skBucketizerTypes.hasOwnProperty(type),
+	    'bucketizer type "' + type + '" is already registered');
+	skBucketizerTypes[type] = func;
+}
+
 
 /*
  * Expand the internal representation of a distribution into the legacy version
  * that includes the minimum and maximum for each range instead of the ordinal
- * number of each range.
+ * number of each range.  "options" is optional and may specify "dense", "min",
+ * and "max", as for the Aggregator's result() method, in which case missing
+ * buckets are included with count 0.
  */
-function skOrdinalToBounds(bucketizer, dist)
+function skOrdinalToBounds(bucketizer, dist, options)
 {
+	if (options && options.dense)
+		dist = skDensify(bucketizer, dist, options, 0);
+
 	return (dist.map(function (row, i) {
 		mod_assert.ok(Array.isArray(row));
 		mod_assert.equal(row.length, 2);
@@ -788,3 +3972,372 @@ function skOrdinalToBounds(bucketizer, dist)
 		return ([ [ bmin, bmax ], row[1] ]);
 	}));
 }
+
+/*
+ * Given a distribution "dist" (in ordinal form) produced by bucketizer
+ * "bucketizer", return a dense copy in which all missing buckets between the
+ * lowest and highest ones have value "empty".  "options.min" and "options.max"
+ * extend the range as described for the Aggregator's result() method.
+ */
+function skDensify(bucketizer, dist, options, empty)
+{
+	var lo, hi, rv, i, j;
+
+	mod_assert.ok(Array.isArray(dist));
+	lo = dist.length > 0 ? dist[0][0] : null;
+	hi = dist.length > 0 ? dist[dist.length - 1][0] : null;
+
+	if (options.min !== undefined && options.min !== null) {
+		i = bucketizer.bucketIndex(options.min);
+		if (lo === null || i < lo)
+			lo = i;
+		if (hi === null)
+			hi = lo;
+	}
+
+	if (options.max !== undefined && options.max !== null) {
+		i = bucketizer.bucketIndex(options.max);
+		if (hi === null || i > hi)
+			hi = i;
+		if (lo === null)
+			lo = hi;
+	}
+
+	rv = [];
+	if (lo === null)
+		return (rv);
+
+	for (i = lo, j = 0; i <= hi; i++) {
+		if (j < dist.length && dist[j][0] == i)
+			rv.push(dist[j++]);
+		else
+			rv.push([ i, empty ]);
+	}
+
+	mod_assert.equal(j, dist.length);
+	return (rv);
+}
+
+/*
+ * Given a flattened result "result" whose last field is bucketized by
+ * "bucketizer" and whose rows each have "nkeys" other fields, return the dense
+ * form of each group's distribution (see the Aggregator's result() method).
+ */
+function skDensifyResult(bucketizer, result, nkeys, options, empty)
+{
+	var rv;
+
+	if (nkeys === 0)
+		return (skDensify(bucketizer, result, options, empty));
+
+	rv = [];
+	skForEachGroup(result, function (keys, dist) {
+		skDensify(bucketizer, dist, options, empty).forEach(
+		    function (ent) { rv.push(keys.concat(ent)); });
+	});
+	return (rv);
+}
+
+/*
+ * Given a flattened result "result" whose rows look like:
+ *
+ *     [ key1, ..., keyN, ordinal, value ]
+ *
+ * invoke "func(keys, dist)" for each group of rows having the same values for
+ * "key1" through "keyN", where "keys" is the array of those values and "dist"
+ * is that group's distribution in ordinal form.  Since results are flattened
+ * from a tree, each group's rows are contiguous.
+ */
+function skForEachGroup(result, func)
+{
+	var keys, dist;
+
+	mod_assert.ok(Array.isArray(result));
+
+	keys = null;
+	dist = [];
+	result.forEach(function (row) {
+		var rowkeys;
+
+		mod_assert.ok(Array.isArray(row));
+		mod_assert.ok(row.length >= 3,
+		    'rows must contain at least one group key');
+		rowkeys = row.slice(0, -2);
+		if (keys !== null && !mod_jsprim.deepEqual(keys, rowkeys)) {
+			func(keys, dist);
+			dist = [];
+		}
+
+		keys = rowkeys;
+		dist.push(row.slice(-2));
+	});
+
+	if (keys !== null)
+		func(keys, dist);
+}
+
+/*
+ * Estimate quantiles of the distribution "dist" (in ordinal form, as returned
+ * for a single bucketized field) produced by bucketizer "bucketizer".
+ * "quantiles" is an array of numbers between 0 and 1 (e.g., [ 0.5, 0.99 ] for
+ * the median and 99th percentile).  This returns an array with one object per
+ * requested quantile, each having properties:
+ *
+ *    quantile	the requested quantile
+ *
+ *    value	the estimated value, computed by assuming that values are
+ *    		uniformly distributed within the bucket containing the quantile
+ *    		and interpolating between its bucketMin() and bucketMax()
+ *
+ *    bounds	[ min, max ] of the bucket containing the quantile, which
+ *    		bounds the actual value (for the underflow bucket of a clamped
+ *    		bucketizer, this is [ -Infinity, min ] where "min" is the
+ *    		bucketizer's)
+ *
+ *    error	the width of that bucket, which bounds the error of "value"
+ *    		(this is Infinity for the underflow and overflow buckets of
+ *    		clamped bucketizers, in which case "value" is the finite bound
+ *    		of the bucket, i.e., the bucketizer's "min" or "max")
+ *
+ * If the distribution is empty, "value", "bounds", and "error" are null.
+ */
+function skQuantiles(bucketizer, dist, quantiles)
+{
+	var total, i;
+
+	mod_assert.ok(Array.isArray(dist));
+	mod_assert.ok(Array.isArray(quantiles));
+
+	total = 0;
+	for (i = 0; i < dist.length; i++) {
+		mod_assert.ok(Array.isArray(dist[i]));
+		mod_assert.equal(dist[i].length, 2);
+		mod_assert.equal(typeof (dist[i][0]), 'number');
+		mod_assert.equal(typeof (dist[i][1]), 'number');
+		total += dist[i][1];
+	}
+
+	return (quantiles.map(function (q) {
+		var rank, cum, row, bmin, bmax, value;
+
+		mod_assert.equal(typeof (q), 'number');
+		mod_assert.ok(q >= 0 && q <= 1,
+		    'quantiles must be between 0 and 1');
+
+		if (total <= 0) {
+			return ({
+			    'quantile': q,
+			    'value': null,
+			    'bounds': null,
+			    'error': null
+			});
+		}
+
+		/*
+		 * Find the first bucket in which the cumulative count reaches
+		 * the requested rank.
+		 */
+		rank = q * total;
+		cum = 0;
+		for (i = 0; i < dist.length; i++) {
+			row = dist[i];
+			if (row[1] > 0 && cum + row[1] >= rank)
+				break;
+			cum += row[1];
+		}
+
+		mod_assert.ok(i < dist.length);
+		bmin = bucketizer.bucketMin(row[0]);
+		bmax = bucketizer.bucketMax(row[0]);
+
+		/*
+		 * bucketMax() is just below "min" for the underflow bucket, but
+		 * the estimate is "min" itself, so report that as the bound.
+		 */
+		if (!isFinite(bmin)) {
+			bmax = bucketizer.bucketMin(row[0] + 1);
+			value = bmax;
+		} else if (!isFinite(bmax)) {
+			value = bmin;
+		} else {
+			value = bmin + (bmax - bmin) * (rank - cum) / row[1];
+		}
+
+		return ({
+		    'quantile': q,
+		    'value': value,
+		    'bounds': [ bmin, bmax ],
+		    'error': bmax - bmin
+		});
+	}));
+}
+
+/*
+ * Like skQuantiles, but for a flattened result broken down by one or more
+ * discrete fields followed by a single bucketized field (e.g., the result of
+ * breaking down by [ "host", "latency" ]).  The result's rows look like:
+ *
+ *     [ key1, ..., keyN, ordinal, count ]
+ *
+ * This returns one row per group (i.e., per unique combination of "key1"
+ * through "keyN"), in the order the groups appear in "result":
+ *
+ *     [ key1, ..., keyN, quantiles ]
+ *
+ * where "quantiles" is the value skQuantiles() would return for that group's
+ * distribution.
+ */
+function skQuantilesByGroup(bucketizer, result, quantiles)
+{
+	var rv = [];
+
+	skForEachGroup(result, function (keys, dist) {
+		rv.push(keys.concat([
+		    skQuantiles(bucketizer, dist, quantiles) ]));
+	});
+
+	return (rv);
+}
+
+/*
+ * Render distribution "dist" (in ordinal form) produced by bucketizer
+ * "bucketizer" as a text histogram in the style of DTrace's quantize() output:
+ *
+ *                value  ------------- Distribution ------------- count
+ *                    1 |                                         0
+ *                    2 |@@@@@@@@@@@@@@@@@@@@                     4
+ *                    4 |@@@@@@@@@@@@@@@@@@@@                     4
+ *                    8 |                                         0
+ *
+ * Each bucket is labeled with its minimum value, and the bars are proportional
+ * to each bucket's fraction of the total count.  Missing buckets are filled in
+ * with zeros, and as with DTrace, one empty bucket is included on either side
+ * of the distribution.  Underflow and overflow buckets of clamped bucketizers
+ * are labeled "< min" and ">= max", respectively.  Labels are rounded to 12
+ * significant digits, and the label column is widened if they don't fit.
+ *
+ * "dist" may also be a flattened result broken down by one or more discrete
+ * fields followed by the bucketized field, in which case one histogram is
+ * rendered for each group, preceded by a line with that group's keys.  This
+ * returns the rendered text as a string.  "options" is optional and may
+ * specify:
+ *
+ *    width	number of characters for the bars (default: 40)
+ */
+function skFormatDistribution(bucketizer, dist, options)
+{
+	var width, rv;
+
+	width = 40;
+	if (options && options.width !== undefined) {
+		mod_assert.equal(typeof (options.width), 'number');
+		mod_assert.ok(options.width >= 14,
+		    'width must be at least 14');
+		width = options.width;
+	}
+
+	mod_assert.ok(Array.isArray(dist));
+	if (dist.length === 0 || dist[0].length == 2)
+		return (skFormatOneDistribution(bucketizer, dist, width));
+
+	rv = [];
+	skForEachGroup(dist, function (keys, groupdist) {
+		rv.push('  ' + keys.join(', ') + '\n' +
+		    skFormatOneDistribution(bucketizer, groupdist, width));
+	});
+	return (rv.join('\n'));
+}
+
+function skFormatOneDistribution(bucketizer, dist, width)
+{
+	var ndashes, total, lo, hi, labels, lwidth, lines, nbars, i;
+
+	total = 0;
+	dist.forEach(function (row) { total += row[1]; });
+
+	/*
+	 * Include an empty bucket on either side, as long as it's not past the
+	 * underflow or overflow bucket of a clamped bucketizer.
+	 */
+	if (dist.length > 0) {
+		lo = dist[0][0] - 1;
+		hi = dist[dist.length - 1][0] + 1;
+		if (!isFinite(bucketizer.bucketMin(lo)))
+			lo++;
+		if (!isFinite(bucketizer.bucketMin(hi)))
+			hi--;
+		dist = skDensify(bucketizer, dist, {
+		    'min': bucketizer.bucketMin(lo),
+		    'max': bucketizer.bucketMin(hi)
+		}, 0);
+	}
+
+	/* Widen the label column if any label doesn't fit. */
+	labels = dist.map(function (row) {
+		return (skBucketLabel(bucketizer, row[0]));
+	});
+	lwidth = 16;
+	labels.forEach(function (label) {
+		lwidth = Math.max(lwidth, label.length);
+	});
+
+	ndashes = width - ' Distribution '.length;
+	lines = [ skPadLeft('value', lwidth) + '  ' +
+	    skRepeat('-', Math.floor(ndashes / 2)) + ' Distribution ' +
+	    skRepeat('-', Math.ceil(ndashes / 2)) + ' count' ];
+
+	for (i = 0; i < dist.length; i++) {
+		nbars = total > 0 ? Math.round(width * dist[i][1] / total) : 0;
+		lines.push(skPadLeft(labels[i], lwidth) +
+		    ' |' + skPadRight(skRepeat('@', nbars), width) + ' ' +
+		    dist[i][1]);
+	}
+
+	return (lines.join('\n') + '\n');
+}
+
+/*
+ * Returns the label for bucket "bidx" in a rendered histogram.
+ */
+function skBucketLabel(bucketizer, bidx)
+{
+	var min = bucketizer.bucketMin(bidx);
+
+	if (min == -Infinity)
+		return ('< ' + skFormatBound(bucketizer.bucketMin(bidx + 1)));
+
+	if (bucketizer.bucketMin(bidx + 1) == Infinity)
+		return ('>= ' + skFormatBound(min));
+
+	/* Like DTrace, label mirrored negative buckets by their exact bound. */
+	if (bidx < 0 && !bucketizer._signed)
+		return (skFormatBound(bucketizer.bucketMax(bidx)));
+
+	return (skFormatBound(min));
+}
+
+/*
+ * Returns bucket bound "value" as a string, rounded to 12 significant digits so
+ * that floating-point error (as in buckets of width 0.1) doesn't show up.
+ */
+function skFormatBound(value)
+{
+	return (String(+value.toPrecision(12)));
+}
+
+function skRepeat(str, n)
+{
+	return (new Array(n + 1).join(str));
+}
+
+function skPadLeft(str, width)
+{
+	return (str.length >= width ? str :
+	    skRepeat(' ', width - str.length) + str);
+}
+
+function skPadRight(str, width)
+{
+	return (str.length >= width ? str :
+	    str + skRepeat(' ', width - str.length));
+}
@@ -0,0 +1,67 @@
+var mod_assert = require('assert');
+var mod_path = require('path');
+var mod_skinner = require('../lib/skinner');
+
+var datapoints, aggr, other, errors, npoints, batches, yielded, i;
+
+datapoints = [
+    { 'fields': { 'host': 'host1', 'latency': 5 }, 'value': 1 },
+    { 'fields': { 'host': 'host1', 'latency': 20 }, 'value': 1 },
+    { 'fields': { 'host': 'host2', 'latency': 'slow' }, 'value': 1 },
+    { 'fields': { 'host': 'host2', 'latency': 3 }, 'value': 1 }
+];
+
+/* aggregateBatch() is equivalent to calling aggregate() for each point. */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'host', 'latency' ],
+    'bucketizers': { 'latency': mod_skinner.makeP2Bucketizer() }
+});
+errors = [];
+aggr.on('invalid_object', function (_, err, num) {
+	errors.push([ num, err.message ]);
+});
+aggr.aggregateBatch(datapoints);
+other = mod_skinner.createAggregator({
+    'decomps': [ 'host', 'latency' ],
+    'bucketizers': { 'latency': mod_skinner.makeP2Bucketizer() }
+});
+datapoints.forEach(function (pt) { other.aggregate(pt); });
+mod_assert.deepEqual(aggr.result(), other.result());
+mod_assert.deepEqual(aggr.stats(), other.stats());
+mod_assert.deepEqual(errors,
+    [ [ 3, 'value for field "latency" is not a number' ] ]);
+mod_assert.throws(function () { aggr.aggregateBatch(datapoints[0]); },
+    /data points must be an array/);
+
+/*
+ * Points written to the stream are processed synchronously until a batch is
+ * done, at which point the stream yields to the event loop.  Points written in
+ * the meantime are buffered and processed together.
+ */
+npoints = 5000;
+aggr = mod_skinner.createAggregator({ 'decomps': [ 'host' ] });
+batches = [];
+aggr._writev = function (chunks, callback) {
+	batches.push(chunks.length);
+	Object.getPrototypeOf(aggr)._writev.call(aggr, chunks, callback);
+};
+
+yielded = false;
+setImmediate(function () { yielded = true; });
+
+for (i = 0; i < npoints; i++)
+	aggr.write(datapoints[i % 2]);
+mod_assert.equal(aggr.stats().ninputs, 1024);
+mod_assert.ok(!yielded);
+
+aggr.on('data', function (result) {
+	mod_assert.deepEqual(result, [ [ 'host1', npoints ] ]);
+});
+aggr.on('end', function () {
+	mod_assert.ok(yielded);
+	mod_assert.ok(batches.length > 0);
+	mod_assert.equal(batches.reduce(function (a, b) { return (a + b); }),
+	    npoints - 1024);
+	console.log('test %s okay', mod_path.basename(process.argv[1]));
+});
+aggr.end();
@@ -0,0 +1,145 @@
+var mod_assert = require('assert');
+var mod_path = require('path');
+var mod_skinner = require('../lib/skinner');
+
+var aggr, stats, state, restored, points, result, i, total;
+
+function pt(host, user, value)
+{
+	return ({
+	    'fields': { 'host': host, 'user': user },
+	    'value': value
+	});
+}
+
+/* Under the limit, results are exact. */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'user' ],
+    'maxGroups': 3
+});
+aggr.aggregate(pt('host1', 'alice', 5));
+aggr.aggregate(pt('host1', 'bob', 3));
+aggr.aggregate(pt('host1', 'alice', 2));
+aggr.aggregate(pt('host1', 'carol', 1));
+mod_assert.deepEqual(aggr.result(),
+    [ [ 'alice', 7 ], [ 'bob', 3 ], [ 'carol', 1 ] ]);
+stats = aggr.stats();
+mod_assert.equal(stats.ngroups, 3);
+mod_assert.equal(stats.nevicted, 0);
+mod_assert.strictEqual(stats.approximate, false);
+mod_assert.equal(stats.error_bound, 0);
+
+/*
+ * A new group replaces the smallest one ("carol") and inherits its value,
+ * which is also the error bound.
+ */
+aggr.aggregate(pt('host1', 'dave', 2));
+mod_assert.deepEqual(aggr.result(),
+    [ [ 'alice', 7 ], [ 'bob', 3 ], [ 'dave', 3 ] ]);
+stats = aggr.stats();
+mod_assert.equal(stats.ngroups, 3);
+mod_assert.equal(stats.nevicted, 1);
+mod_assert.strictEqual(stats.approximate, true);
+mod_assert.equal(stats.error_bound, 3);
+
+/* Existing groups keep accumulating. */
+aggr.aggregate(pt('host1', 'bob', 10));
+aggr.aggregate(pt('host1', 'erin', 1));
+mod_assert.deepEqual(aggr.result(),
+    [ [ 'alice', 7 ], [ 'bob', 13 ], [ 'erin', 4 ] ]);
+mod_assert.equal(aggr.stats().error_bound, 4);
+
+/* Heavy hitters survive a long tail of distinct values. */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'host', 'user' ],
+    'reducer': 'count',
+    'maxGroups': 10
+});
+total = 0;
+for (i = 0; i < 1000; i++) {
+	aggr.aggregate(pt('host1', 'heavy', 1));
+	aggr.aggregate(pt('host' + (i % 3), 'user' + i, 1));
+	if (i % 2 === 0)
+		aggr.aggregate(pt('host2', 'medium', 1));
+	total += i % 2 === 0 ? 3 : 2;
+}
+stats = aggr.stats();
+mod_assert.equal(stats.ngroups, 10);
+mod_assert.ok(stats.approximate);
+mod_assert.ok(stats.error_bound <= total / 10);
+result = aggr.result();
+mod_assert.equal(result.length, 10);
+result.forEach(function (row) {
+	if (row[0] == 'host1' && row[1] == 'heavy') {
+		mod_assert.ok(row[2] >= 1000 &&
+		    row[2] <= 1000 + stats.error_bound);
+	} else if (row[0] == 'host2' && row[1] == 'medium') {
+		mod_assert.ok(row[2] >= 500 &&
+		    row[2] <= 500 + stats.error_bound);
+	}
+});
+mod_assert.equal(result.filter(function (row) {
+	return (row[1] == 'heavy' || row[1] == 'medium');
+}).length, 2);
+
+/* The tree doesn't keep empty nodes for evicted groups. */
+state = aggr.toJSON();
+mod_assert.ok(Object.keys(state.value).every(function (host) {
+	return (Object.keys(state.value[host]).length > 0);
+}));
+
+/* Bounded aggregators can be saved and restored. */
+state = JSON.parse(JSON.stringify(aggr));
+mod_assert.equal(state.maxGroups, 10);
+restored = mod_skinner.restoreAggregator(state);
+mod_assert.deepEqual(restored.result(), aggr.result());
+mod_assert.deepEqual(restored.stats(), aggr.stats());
+restored.aggregate(pt('host1', 'heavy', 1));
+aggr.aggregate(pt('host1', 'heavy', 1));
+mod_assert.deepEqual(restored.result(), aggr.result());
+
+/*
+ * Which of several equally small groups gets replaced may differ, but the
+ * accounting is the same.
+ */
+restored.aggregate(pt('host9', 'newcomer', 1));
+aggr.aggregate(pt('host9', 'newcomer', 1));
+mod_assert.deepEqual(restored.stats(), aggr.stats());
+mod_assert.deepEqual(restored.result().filter(function (row) {
+	return (row[0] == 'host9');
+}), [ [ 'host9', 'newcomer', 126 ] ]);
+
+/* Bounded aggregators can't be merged. */
+mod_assert.throws(function () { aggr.merge(restored); },
+    /cannot merge aggregators with "maxGroups"/);
+
+/* Bad options. */
+mod_assert.throws(function () {
+	mod_skinner.createAggregator({ 'decomps': [ 'user' ],
+	    'maxGroups': 0 });
+}, /maxGroups must be a positive integer/);
+mod_assert.throws(function () {
+	mod_skinner.createAggregator({ 'decomps': [ 'user' ],
+	    'maxGroups': 10, 'reducer': 'mean' });
+}, /maxGroups is only supported with the "sum" and "count" reducers/);
+
+/* Emitted points are flagged as approximate. */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'size' ],
+    'bucketizers': { 'size': mod_skinner.makeLinearBucketizer(10) },
+    'maxGroups': 2,
+    'resultsAsPoints': true
+});
+points = [];
+aggr.on('data', function (p) { points.push(p); });
+aggr.on('end', function () {
+	mod_assert.deepEqual(points, [
+	    { 'fields': { 'size': 10 }, 'value': 5, 'approximate': true },
+	    { 'fields': { 'size': 20 }, 'value': 3, 'approximate': true }
+	]);
+	console.log('test %s okay', mod_path.basename(process.argv[1]));
+});
+aggr.write({ 'fields': { 'size': 15 }, 'value': 5 });
+aggr.write({ 'fields': { 'size': 3 }, 'value': 2 });
+aggr.write({ 'fields': { 'size': 27 }, 'value': 1 });
+aggr.end();
@@ -0,0 +1,128 @@
+var mod_assert = require('assert');
+var mod_path = require('path');
+var mod_skinner = require('../lib/skinner');
+
+var datapoints, args, aggr, other, errors, state, restored, results;
+
+datapoints = [
+    { 'fields': { 'host': 'host1', 'user': 'alice', 'latency': 5 },
+	'value': 1 },
+    { 'fields': { 'host': 'host1', 'user': 'bob', 'latency': 20 },
+	'value': 1 },
+    { 'fields': { 'host': 'host2', 'user': 'alice', 'latency': 3 },
+	'value': 1 },
+    { 'fields': { 'host': 'host2', 'user': 'carol', 'latency': 'slow' },
+	'value': 1 },
+    { 'fields': { 'host': 'host2', 'user': 'alice', 'latency': 6 },
+	'value': 'bogus' }
+];
+
+args = {
+    'breakdowns': {
+	'byhost': [ 'host' ],
+	'byuser': [ 'user' ],
+	'latency': [ 'host', 'latency' ],
+	'bylatency': [ 'latency' ]
+    },
+    'bucketizers': { 'latency': mod_skinner.makeP2Bucketizer() }
+};
+
+/* Each point is added to every breakdown in one pass. */
+aggr = mod_skinner.createAggregator(args);
+errors = [];
+aggr.on('invalid_object', function (_, err, num) {
+	errors.push([ err.message, num ]);
+});
+datapoints.forEach(function (pt) { aggr.aggregate(pt); });
+mod_assert.deepEqual(aggr.result(), {
+    'byhost': [ [ 'host1', 2 ], [ 'host2', 2 ] ],
+    'byuser': [ [ 'alice', 2 ], [ 'bob', 1 ], [ 'carol', 1 ] ],
+    'latency': [ [ 'host1', 3, 1 ], [ 'host1', 5, 1 ], [ 'host2', 2, 1 ] ],
+    'bylatency': [ [ 2, 1 ], [ 3, 1 ], [ 5, 1 ] ]
+});
+
+/*
+ * Invalid points are reported and counted once, even when several breakdowns
+ * have problems with them, but points whose bucketized fields aren't numbers
+ * are only left out of the breakdowns using those fields.
+ */
+mod_assert.deepEqual(errors, [
+    [ 'value for field "latency" is not a number', 4 ],
+    [ 'data point "value" is not a number', 5 ]
+]);
+mod_assert.deepEqual(aggr.stats(), {
+    'ninputs': 5,
+    'nparsed': 1,
+    'nerr_nonnumeric': 1,
+    'nerr_invalid': 1,
+    'nerr_object': 0,
+    'nerr_fields': 0,
+    'nerr_value': 1,
+    'nmissing': 0
+});
+
+/* Options apply to each breakdown. */
+mod_assert.deepEqual(mod_skinner.aggregate(datapoints.slice(0, 4), [], {}, {
+    'breakdowns': { 'byhost': [ 'host' ], 'byuser': [ 'user' ] },
+    'reducer': 'count',
+    'limits': { 'user': 1 },
+    'filter': { 'ne': [ 'user', 'bob' ] }
+}), {
+    'byhost': [ [ 'host1', 1 ], [ 'host2', 2 ] ],
+    'byuser': [ [ 'alice', 2 ], [ '<other>', 1 ] ]
+});
+
+/* Breakdowns can be merged, saved, and restored. */
+other = mod_skinner.createAggregator(args);
+other.aggregate(datapoints[0]);
+aggr.merge(other);
+mod_assert.deepEqual(aggr.result()['byhost'],
+    [ [ 'host1', 3 ], [ 'host2', 2 ] ]);
+mod_assert.equal(aggr.stats().ninputs, 6);
+mod_assert.throws(function () {
+	aggr.merge(mod_skinner.createAggregator({ 'decomps': [ 'host' ] }));
+}, /cannot merge aggregators with different breakdowns/);
+
+state = JSON.parse(JSON.stringify(aggr));
+restored = mod_skinner.restoreAggregator(state);
+mod_assert.deepEqual(restored.result(), aggr.result());
+mod_assert.deepEqual(restored.stats(), aggr.stats());
+restored.aggregate(datapoints[1]);
+mod_assert.deepEqual(restored.result()['byuser'],
+    [ [ 'alice', 3 ], [ 'bob', 2 ], [ 'carol', 1 ] ]);
+
+/* Bad options. */
+mod_assert.throws(function () {
+	mod_skinner.createAggregator({ 'breakdowns': {} });
+}, /breakdowns must not be empty/);
+mod_assert.throws(function () {
+	mod_skinner.createAggregator({ 'decomps': [ 'host' ],
+	    'breakdowns': { 'byhost': [ 'host' ] } });
+}, /cannot specify both "decomps" and "breakdowns"/);
+mod_assert.throws(function () {
+	mod_skinner.createAggregator({ 'breakdowns': { 'byhost': [ 'host' ] },
+	    'limits': { 'user': 3 } });
+}, /limit specified for field "user" not in any breakdown/);
+
+/* The stream emits the named results, as points if requested. */
+aggr = mod_skinner.createAggregator({
+    'breakdowns': { 'byhost': [ 'host' ], 'byuser': [ 'user' ] },
+    'resultsAsPoints': true
+});
+results = [];
+aggr.on('data', function (result) { results.push(result); });
+aggr.on('end', function () {
+	mod_assert.deepEqual(results, [ {
+	    'byhost': [
+		{ 'fields': { 'host': 'host1' }, 'value': 2 },
+		{ 'fields': { 'host': 'host2' }, 'value': 1 }
+	    ],
+	    'byuser': [
+		{ 'fields': { 'user': 'alice' }, 'value': 2 },
+		{ 'fields': { 'user': 'bob' }, 'value': 1 }
+	    ]
+	} ]);
+	console.log('test %s okay', mod_path.basename(process.argv[1]));
+});
+datapoints.slice(0, 3).forEach(function (pt) { aggr.write(pt); });
+aggr.end();
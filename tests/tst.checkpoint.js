@@ -0,0 +1,112 @@
+var mod_assert = require('assert');
+var mod_path = require('path');
+var mod_skinner = require('../lib/skinner');
+
+var datapoints, decomps, bucketizers, original, restored, state, whole;
+
+/* BEGIN JSSTYLED */
+datapoints = [
+    { 'fields': { 'host': 'host1', 'lat': 83,  'size': 1 },   'value': 1 },
+    { 'fields': { 'host': 'host1', 'lat': 13,  'size': 35 },  'value': 1 },
+    { 'fields': { 'host': 'host2', 'lat': 370, 'size': 7 },   'value': 1 },
+    { 'fields': { 'host': 'host2', 'lat': 53,  'size': 12 },  'value': 1 },
+    { 'fields': { 'host': 'host3', 'lat': 'x', 'size': 150 }, 'value': 1 },
+    { 'fields': { 'host': 'host3', 'lat': '9', 'size': 3 },   'value': 1 },
+    { 'fields': { 'host': 'host4', 'lat': 980, 'size': 60 },  'value': 1 },
+    { 'fields': { 'host': 'host4', 'lat': -5,  'size': 8 },   'value': 1 }
+];
+/* END JSSTYLED */
+
+decomps = [ 'host', 'lat', 'size' ];
+bucketizers = {
+    'lat': mod_skinner.makeLogLinearBucketizer(10, 20),
+    'size': mod_skinner.makeP2Bucketizer(),
+    'unused': mod_skinner.makeLinearBucketizer(7)
+};
+
+/*
+ * Aggregate half the points, save the state, restore it, and aggregate the rest
+ * of the points.  The result should be the same as if we'd aggregated them all
+ * at once.
+ */
+[ 'sum', 'max', 'mean', 'stddev' ].forEach(function (reducer) {
+	original = mod_skinner.createAggregator({
+	    'decomps': decomps,
+	    'bucketizers': bucketizers,
+	    'reducer': reducer
+	});
+	whole = mod_skinner.createAggregator({
+	    'decomps': decomps,
+	    'bucketizers': bucketizers,
+	    'reducer': reducer
+	});
+	original.on('invalid_object', function () {});
+	whole.on('invalid_object', function () {});
+	datapoints.forEach(function (p) { whole.aggregate(p); });
+
+	datapoints.slice(0, 5).forEach(function (p) { original.aggregate(p); });
+	state = JSON.parse(JSON.stringify(original));
+	mod_assert.equal(state.reducer, reducer);
+	mod_assert.deepEqual(state.bucketizers, {
+	    'lat': { 'type': 'loglinear', 'base': 10, 'nbuckets': 20 },
+	    'size': { 'type': 'p2' },
+	    'unused': { 'type': 'linear', 'step': 7 }
+	});
+
+	restored = mod_skinner.restoreAggregator(state);
+	mod_assert.deepEqual(restored.result(), original.result());
+	mod_assert.deepEqual(restored.stats(), original.stats());
+	datapoints.slice(5).forEach(function (p) { restored.aggregate(p); });
+	mod_assert.deepEqual(restored.result(), whole.result());
+	mod_assert.deepEqual(restored.stats(), whole.stats());
+});
+
+/* The saved state is not affected by later changes to the aggregator. */
+original = mod_skinner.createAggregator({ 'decomps': [ 'host' ] });
+original.aggregate(datapoints[0]);
+state = original.toJSON();
+original.aggregate(datapoints[0]);
+mod_assert.deepEqual(state.value, [ [ 'host1', 1 ] ]);
+mod_assert.deepEqual(state.stats,
+    { 'ninputs': 1, 'nparsed': 0, 'nerr_nonnumeric': 0, 'nerr_invalid': 0,
+    'nerr_object': 0, 'nerr_fields': 0, 'nerr_value': 0, 'nmissing': 0 });
+
+/* Custom reducers must be supplied again when restoring. */
+original = mod_skinner.createAggregator({
+    'reducer': {
+	'init': function () { return (1); },
+	'accumulate': function (s, v) { return (s * v); },
+	'merge': function (s1, s2) { return (s1 * s2); },
+	'finalize': function (s) { return (s); }
+    }
+});
+original.aggregate({ 'fields': {}, 'value': 3 });
+state = JSON.parse(JSON.stringify(original));
+mod_assert.strictEqual(state.reducer, null);
+mod_assert.throws(function () { mod_skinner.restoreAggregator(state); },
+    /saved aggregator used a custom reducer/);
+restored = mod_skinner.restoreAggregator(state,
+    { 'reducer': original.sa_reducer });
+restored.aggregate({ 'fields': {}, 'value': 5 });
+mod_assert.deepEqual(restored.result(), [ 15 ]);
+
+mod_assert.throws(function () {
+	mod_skinner.restoreAggregator({ 'decomps': [] });
+}, /invalid aggregator state/);
+
+/* The restored aggregator works as a stream. */
+original = mod_skinner.createAggregator({ 'decomps': [ 'host' ] });
+datapoints.slice(0, 4).forEach(function (p) { original.aggregate(p); });
+restored = mod_skinner.restoreAggregator(
+    JSON.parse(JSON.stringify(original)));
+datapoints.slice(4).forEach(function (p) { restored.write(p); });
+restored.end();
+restored.on('data', function (result) {
+	mod_assert.deepEqual(result, [
+	    [ 'host1', 2 ],
+	    [ 'host2', 2 ],
+	    [ 'host3', 2 ],
+	    [ 'host4', 2 ]
+	]);
+	console.log('test %s okay', mod_path.basename(process.argv[1]));
+});
@@ -0,0 +1,118 @@
+var mod_assert = require('assert');
+var mod_path = require('path');
+var mod_skinner = require('../lib/skinner');
+
+var bucketizer, func, expand, dist, datapoints, i;
+
+/*
+ * Linear bucketizer clamped to [0, 50).
+ */
+bucketizer = mod_skinner.makeLinearBucketizer(10, 0, 50);
+func = bucketizer.bucketize.bind(bucketizer);
+expand = mod_skinner.ordinalToBounds.bind(null, bucketizer);
+mod_assert.equal(bucketizer.bucketIndex(-1), -1);
+mod_assert.equal(bucketizer.bucketIndex(-1e9), -1);
+mod_assert.equal(bucketizer.bucketIndex(0), 0);
+mod_assert.equal(bucketizer.bucketIndex(49), 4);
+mod_assert.equal(bucketizer.bucketIndex(50), 5);
+mod_assert.equal(bucketizer.bucketIndex(1e9), 5);
+
+dist = [];
+for (i = -30; i < 100; i += 5)
+	func(dist, i, 1);
+mod_assert.deepEqual(dist, [
+    [ -1, 6 ],
+    [ 0, 2 ],
+    [ 1, 2 ],
+    [ 2, 2 ],
+    [ 3, 2 ],
+    [ 4, 2 ],
+    [ 5, 10 ]
+]);
+mod_assert.deepEqual(expand(dist), [
+    [ [ -Infinity, -1 ], 6 ],
+    [ [ 0, 9 ], 2 ],
+    [ [ 10, 19 ], 2 ],
+    [ [ 20, 29 ], 2 ],
+    [ [ 30, 39 ], 2 ],
+    [ [ 40, 49 ], 2 ],
+    [ [ 50, Infinity ], 10 ]
+]);
+
+/* The underflow bucket's maximum depends on the size of the buckets. */
+mod_assert.equal(bucketizer.bucketMax(-1), -1);
+bucketizer = mod_skinner.makeLinearBucketizer(0.5, 0, 5);
+mod_assert.equal(bucketizer.bucketIndex(-0.1), -1);
+mod_assert.equal(bucketizer.bucketMax(-1), -0.05);
+mod_assert.equal(bucketizer.bucketMax(0), 0.45);
+bucketizer = mod_skinner.makeLinearBucketizer(0.5, -2);
+mod_assert.equal(bucketizer.bucketMax(bucketizer.bucketIndex(-3)), -2.05);
+
+/* Clamp only one end at a time. */
+bucketizer = mod_skinner.makeLinearBucketizer(10, undefined, 20);
+mod_assert.equal(bucketizer.bucketIndex(-1000), -100);
+mod_assert.equal(bucketizer.bucketIndex(1000), 2);
+bucketizer = mod_skinner.makeLinearBucketizer(10, -20);
+mod_assert.equal(bucketizer.bucketIndex(-1000), -3);
+mod_assert.equal(bucketizer.bucketMin(-3), -Infinity);
+mod_assert.equal(bucketizer.bucketIndex(1000), 100);
+
+/*
+ * Log-linear bucketizer clamped to [10, 1000).
+ */
+bucketizer = mod_skinner.makeLogLinearBucketizer(10, 20, 10, 1000);
+expand = mod_skinner.ordinalToBounds.bind(null, bucketizer);
+datapoints = [
+    { 'fields': { 'host': 'host1', 'lat': 3 }, 'value': 1 },
+    { 'fields': { 'host': 'host1', 'lat': 12 }, 'value': 1 },
+    { 'fields': { 'host': 'host1', 'lat': 180000 }, 'value': 1 },
+    { 'fields': { 'host': 'host2', 'lat': 999 }, 'value': 1 },
+    { 'fields': { 'host': 'host2', 'lat': 1000 }, 'value': 1 },
+    { 'fields': { 'host': 'host2', 'lat': -7 }, 'value': 1 }
+];
+mod_assert.deepEqual(expand(mod_skinner.aggregate(datapoints, [ 'lat' ],
+    { 'lat': bucketizer })), [
+    [ [ -Infinity, 9 ], 2 ],
+    [ [ 10, 14 ], 1 ],
+    [ [ 950, 999 ], 1 ],
+    [ [ 1000, Infinity ], 2 ]
+]);
+mod_assert.deepEqual(mod_skinner.aggregate(datapoints, [ 'host', 'lat' ],
+    { 'lat': bucketizer }), [
+    [ 'host1', 9, 1 ],
+    [ 'host1', 10, 1 ],
+    [ 'host1', 46, 1 ],
+    [ 'host2', 9, 1 ],
+    [ 'host2', 45, 1 ],
+    [ 'host2', 46, 1 ]
+]);
+
+/* Specs include "min" and "max" and are validated. */
+mod_assert.deepEqual(bucketizer.toSpec(), {
+    'type': 'loglinear',
+    'base': 10,
+    'nbuckets': 20,
+    'min': 10,
+    'max': 1000
+});
+mod_assert.deepEqual(mod_skinner.bucketizerFromSpec(
+    { 'type': 'linear', 'step': 5, 'max': 100 }).toSpec(),
+    { 'type': 'linear', 'step': 5, 'max': 100 });
+mod_assert.throws(function () {
+	mod_skinner.bucketizerFromSpec(
+	    { 'type': 'linear', 'step': 5, 'min': 3 });
+}, /"min" \(3\) must be a bucket boundary/);
+mod_assert.throws(function () {
+	mod_skinner.makeLogLinearBucketizer(10, 20, 0, 1200);
+}, /"max" \(1200\) must be a bucket boundary/);
+mod_assert.throws(function () {
+	mod_skinner.bucketizerFromSpec({ 'type': 'p2', 'min': 4 });
+}, /bucketizer type "p2" does not support "min" or "max"/);
+mod_assert.throws(function () {
+	mod_skinner.makeLinearBucketizer(10, 50, 50);
+}, /"min" must be less than "max"/);
+mod_assert.throws(function () {
+	mod_skinner.makeLinearBucketizer(10, '0');
+}, /"min" must be a finite number/);
+
+console.log('test %s okay', mod_path.basename(process.argv[1]));
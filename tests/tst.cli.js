@@ -0,0 +1,108 @@
+var mod_assert = require('assert');
+var mod_child = require('child_process');
+var mod_path = require('path');
+
+var skinner = mod_path.join(__dirname, '..', 'bin', 'skinner');
+var input = [
+    '{ "fields": { "host": "host1", "lat": 12 }, "value": 1 }',
+    '{ "fields": { "host": "host2", "lat": 125 }, "value": 1 }',
+    'this is not JSON',
+    '',
+    '{ "fields": { "host": "host1", "lat": "slow" }, "value": 1 }',
+    '{ "fields": { "host": "host1", "lat": 3 }, "value": 4 }'
+].join('\n') + '\n';
+
+var testcases = [ {
+    'args': [ '-b', 'host,lat', '-q', 'lat:loglinear:10:20' ],
+    'stdout': [
+	'HOST   LAT  VALUE',
+	'host1  3        4',
+	'host1  10       1',
+	'host2  100      1',
+	''
+    ].join('\n'),
+    'stderr': [
+	'skinner: warning: input 3: data point is not an object',
+	'skinner: warning: input 4: value for field "lat" is not a number',
+	'skinner: 2 of 5 inputs were invalid',
+	''
+    ].join('\n'),
+    'code': 0
+}, {
+    'args': [ '-o', 'json', '-b', 'host', '-r', 'max' ],
+    'stdout': '[["host1",4],["host2",1]]\n',
+    'code': 0
+}, {
+    'args': [ '-b', 'lat', '-q', 'lat:linear:10:0:100' ],
+    'stdout': [
+	'LAT  VALUE',
+	'0        4',
+	'10       1',
+	'100      1',
+	''
+    ].join('\n'),
+    'code': 0
+}, {
+    'args': [ '-o', 'points', '-b', 'lat', '-q', 'lat:linear:10:0:100' ],
+    'stdout': [
+	'{"fields":{"lat":0},"value":4}',
+	'{"fields":{"lat":10},"value":1}',
+	'{"fields":{"lat":100},"value":1}',
+	''
+    ].join('\n'),
+    'code': 0
+}, {
+    'args': [],
+    'stdout': 'VALUE\n    7\n',
+    'code': 0
+}, {
+    'args': [ '-q', 'lat:bogus' ],
+    'stdout': '',
+    'stderrPrefix': 'skinner: unsupported bucketizer type: "bogus"\n',
+    'code': 2
+}, {
+    'args': [ '-q', 'lat:loglinear:10:25' ],
+    'stdout': '',
+    'stderrPrefix': 'skinner: bad bucketizer "lat:loglinear:10:25": ',
+    'code': 2
+}, {
+    'args': [ '-o', 'xml' ],
+    'stdout': '',
+    'stderrPrefix': 'skinner: unsupported output format: "xml"\n',
+    'code': 2
+} ];
+
+function runTestCase(i)
+{
+	var testcase, child, stdout, stderr;
+
+	if (i == testcases.length) {
+		console.log('test %s okay', mod_path.basename(process.argv[1]));
+		return;
+	}
+
+	testcase = testcases[i];
+	stdout = '';
+	stderr = '';
+	child = mod_child.spawn(process.execPath,
+	    [ skinner ].concat(testcase.args));
+	child.stdout.on('data', function (c) { stdout += c.toString(); });
+	child.stderr.on('data', function (c) { stderr += c.toString(); });
+	child.on('close', function (code) {
+		var label = 'skinner ' + testcase.args.join(' ');
+
+		mod_assert.equal(code, testcase.code, label);
+		mod_assert.equal(stdout, testcase.stdout, label);
+		if (testcase.hasOwnProperty('stderr'))
+			mod_assert.equal(stderr, testcase.stderr, label);
+		if (testcase.hasOwnProperty('stderrPrefix')) {
+			mod_assert.equal(stderr.substr(0,
+			    testcase.stderrPrefix.length),
+			    testcase.stderrPrefix, label);
+		}
+		runTestCase(i + 1);
+	});
+	child.stdin.end(input);
+}
+
+runTestCase(0);
@@ -0,0 +1,119 @@
+var mod_assert = require('assert');
+var mod_path = require('path');
+var mod_skinner = require('../lib/skinner');
+
+var bucketizer, datapoints, aggr, dist;
+
+bucketizer = mod_skinner.makeP2Bucketizer();
+datapoints = [
+    { 'fields': { 'host': 'host1', 'size': 5 }, 'value': 10378 },
+    { 'fields': { 'host': 'host1', 'size': 20 }, 'value': 352 },
+    { 'fields': { 'host': 'host2', 'size': 1 }, 'value': 3 },
+    { 'fields': { 'host': 'host2', 'size': 3 }, 'value': 7 },
+    { 'fields': { 'host': 'host3', 'size': 2 }, 'value': 4 }
+];
+
+/*
+ * This is the example from the block comment in lib/skinner.js.
+ */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'size' ],
+    'bucketizers': { 'size': bucketizer }
+});
+aggr.aggregate(datapoints[0]);
+aggr.aggregate(datapoints[1]);
+dist = aggr.result();
+mod_assert.deepEqual(dist, [ [ 3, 10378 ], [ 5, 352 ] ]);
+mod_assert.deepEqual(aggr.result({ 'dense': true }),
+    [ [ 3, 10378 ], [ 4, 0 ], [ 5, 352 ] ]);
+mod_assert.deepEqual(aggr.result({ 'dense': true, 'min': 0 }),
+    [ [ 0, 0 ], [ 1, 0 ], [ 2, 0 ], [ 3, 10378 ], [ 4, 0 ], [ 5, 352 ] ]);
+mod_assert.deepEqual(aggr.result({ 'dense': true, 'max': 100 }),
+    [ [ 3, 10378 ], [ 4, 0 ], [ 5, 352 ], [ 6, 0 ], [ 7, 0 ] ]);
+
+/* The range never cuts off buckets with data. */
+mod_assert.deepEqual(aggr.result({ 'dense': true, 'min': 8, 'max': 8 }),
+    [ [ 3, 10378 ], [ 4, 0 ], [ 5, 352 ] ]);
+
+mod_assert.deepEqual(mod_skinner.ordinalToBounds(bucketizer, dist,
+    { 'dense': true, 'min': 0 }), [
+    [ [  0,  0 ],     0 ],
+    [ [  1,  1 ],     0 ],
+    [ [  2,  3 ],     0 ],
+    [ [  4,  7 ], 10378 ],
+    [ [  8, 15 ],     0 ],
+    [ [ 16, 31 ],   352 ]
+]);
+mod_assert.deepEqual(mod_skinner.ordinalToBounds(bucketizer, dist),
+    mod_skinner.ordinalToBounds(bucketizer, dist, { 'dense': false }));
+
+/* Empty distributions. */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'size' ],
+    'bucketizers': { 'size': bucketizer }
+});
+mod_assert.deepEqual(aggr.result({ 'dense': true }), []);
+mod_assert.deepEqual(aggr.result({ 'dense': true, 'min': 1, 'max': 4 }),
+    [ [ 1, 0 ], [ 2, 0 ], [ 3, 0 ] ]);
+mod_assert.deepEqual(mod_skinner.ordinalToBounds(bucketizer, [],
+    { 'dense': true, 'max': 0 }), [ [ [ 0, 0 ], 0 ] ]);
+
+/*
+ * Each group of a multi-dimensional breakdown is filled in separately.
+ */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'host', 'size' ],
+    'bucketizers': { 'size': bucketizer }
+});
+datapoints.forEach(function (p) { aggr.aggregate(p); });
+mod_assert.deepEqual(aggr.result({ 'dense': true }), [
+    [ 'host1', 3, 10378 ],
+    [ 'host1', 4, 0 ],
+    [ 'host1', 5, 352 ],
+    [ 'host2', 1, 3 ],
+    [ 'host2', 2, 7 ],
+    [ 'host3', 2, 4 ]
+]);
+mod_assert.deepEqual(aggr.result({ 'dense': true, 'min': 0, 'max': 4 }), [
+    [ 'host1', 0, 0 ],
+    [ 'host1', 1, 0 ],
+    [ 'host1', 2, 0 ],
+    [ 'host1', 3, 10378 ],
+    [ 'host1', 4, 0 ],
+    [ 'host1', 5, 352 ],
+    [ 'host2', 0, 0 ],
+    [ 'host2', 1, 3 ],
+    [ 'host2', 2, 7 ],
+    [ 'host2', 3, 0 ],
+    [ 'host3', 0, 0 ],
+    [ 'host3', 1, 0 ],
+    [ 'host3', 2, 4 ],
+    [ 'host3', 3, 0 ]
+]);
+
+/* Missing buckets use the reducer's value for no data points. */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'host', 'size' ],
+    'bucketizers': { 'size': bucketizer },
+    'reducer': 'max'
+});
+datapoints.forEach(function (p) { aggr.aggregate(p); });
+mod_assert.deepEqual(aggr.result({ 'dense': true }).slice(0, 3), [
+    [ 'host1', 3, 10378 ],
+    [ 'host1', 4, null ],
+    [ 'host1', 5, 352 ]
+]);
+
+/* The last decomp must be bucketized. */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'size', 'host' ],
+    'bucketizers': { 'size': bucketizer }
+});
+mod_assert.throws(function () { aggr.result({ 'dense': true }); },
+    function (err) {
+	return (err.name == 'VError' &&
+	    /dense results require the last decomp to be bucketized/.test(
+	    err.message));
+    });
+
+console.log('test %s okay', mod_path.basename(process.argv[1]));
@@ -0,0 +1,128 @@
+var mod_assert = require('assert');
+var mod_path = require('path');
+var mod_skinner = require('../lib/skinner');
+
+var datapoints, derived, result, aggr, state, restored, points;
+
+datapoints = [ {
+    'fields': { 'time': '2014-03-01T09:15:00Z', 'code': 200,
+	'req': { 'url': 'http://example.com/index.html' } },
+    'value': 1
+}, {
+    'fields': { 'time': '2014-03-01T09:45:00Z', 'code': 404,
+	'req': { 'url': 'https://example.com/missing' } },
+    'value': 1
+}, {
+    'fields': { 'time': Date.parse('2014-03-02T17:05:00Z'), 'code': '503',
+	'req': { 'url': 'http://joyent.com:8080/' } },
+    'value': 1
+}, {
+    'fields': { 'time': 'yesterday', 'code': 201, 'req': { 'url': 'bogus' } },
+    'value': 1
+} ];
+
+derived = {
+    'hour': { 'transform': 'hour', 'field': 'time' },
+    'day': { 'transform': 'date', 'field': 'time' },
+    'domain': { 'transform': 'domain', 'field': 'req.url' },
+    'status': { 'transform': 'statusClass', 'field': 'code' },
+    'https': function (pt) {
+	return (/^https:/.test(pt.fields.req.url) ? 'yes' : 'no');
+    }
+};
+
+function check(decomps, expected, bucketizers)
+{
+	mod_assert.deepEqual(mod_skinner.aggregate(datapoints, decomps,
+	    bucketizers || {}, { 'derivedFields': derived }), expected);
+}
+
+check([ 'status' ], [ [ '2xx', 2 ], [ '4xx', 1 ], [ '5xx', 1 ] ]);
+mod_assert.deepEqual(mod_skinner.aggregate([
+    { 'fields': { 'code': 'abc' }, 'value': 1 },
+    { 'fields': { 'code': 'OK' }, 'value': 1 },
+    { 'fields': { 'code': NaN }, 'value': 1 },
+    { 'fields': { 'code': '302' }, 'value': 1 }
+], [ 'status' ], {}, { 'derivedFields': derived }),
+    [ [ '<missing>', 3 ], [ '3xx', 1 ] ]);
+check([ 'domain' ], [
+    [ 'example.com', 2 ], [ 'joyent.com', 1 ], [ '<missing>', 1 ]
+]);
+
+/* Keys for fields that aren't bucketized keep their type. */
+check([ 'day', 'hour' ], [
+    [ '2014-03-01', 9, 2 ],
+    [ '2014-03-02', 17, 1 ],
+    [ '<missing>', '<missing>', 1 ]
+]);
+check([ 'https', 'status' ],
+    [ [ 'no', '2xx', 2 ], [ 'no', '5xx', 1 ], [ 'yes', '4xx', 1 ] ]);
+
+/* Numeric derived fields can be bucketized. */
+check([ 'hour' ], [ [ 0, 2 ], [ 1, 1 ] ],
+    { 'hour': mod_skinner.makeLinearBucketizer(12) });
+
+/* Derived fields take precedence over fields with the same name. */
+result = mod_skinner.aggregate(datapoints, [ 'code' ], {}, {
+    'derivedFields': { 'code': { 'transform': 'statusClass',
+	'field': 'code' } }
+});
+mod_assert.deepEqual(result, [ [ '2xx', 2 ], [ '4xx', 1 ], [ '5xx', 1 ] ]);
+
+/* Declarative derived fields are saved, but functions must be passed again. */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'https', 'status' ],
+    'derivedFields': derived,
+    'resultsAsPoints': true
+});
+datapoints.forEach(function (pt) { aggr.aggregate(pt); });
+state = JSON.parse(JSON.stringify(aggr));
+mod_assert.deepEqual(state.derivedFields, {
+    'hour': { 'transform': 'hour', 'field': 'time' },
+    'day': { 'transform': 'date', 'field': 'time' },
+    'domain': { 'transform': 'domain', 'field': 'req.url' },
+    'status': { 'transform': 'statusClass', 'field': 'code' },
+    'https': null
+});
+mod_assert.throws(function () { mod_skinner.restoreAggregator(state); },
+    new RegExp('saved aggregator used a custom function for derived ' +
+    'field "https", but no function was specified'));
+restored = mod_skinner.restoreAggregator(state,
+    { 'derivedFields': { 'https': derived.https } });
+restored.aggregate(datapoints[1]);
+mod_assert.deepEqual(restored.result(),
+    [ [ 'no', '2xx', 2 ], [ 'no', '5xx', 1 ], [ 'yes', '4xx', 2 ] ]);
+
+/* Only aggregators with the same derived fields can be merged. */
+restored.merge(mod_skinner.restoreAggregator(state,
+    { 'derivedFields': { 'https': derived.https } }));
+mod_assert.throws(function () {
+	restored.merge(mod_skinner.restoreAggregator(state, {
+	    'derivedFields': { 'https': function (fields) {
+		return (fields.req.url.substr(0, 5) == 'https');
+	    } }
+	}));
+}, /cannot merge aggregators with different derived fields/);
+
+/* Bad definitions. */
+mod_assert.throws(function () {
+	mod_skinner.createAggregator({ 'decomps': [ 'x' ],
+	    'derivedFields': { 'x': { 'transform': 'hour' } } });
+}, /derived field "x" must be a function or an object with "transform" and/);
+mod_assert.throws(function () {
+	mod_skinner.createAggregator({ 'decomps': [ 'x' ],
+	    'derivedFields': { 'x': { 'transform': 'bogus', 'field': 'y' } } });
+}, /derived field "x": unknown transform "bogus"/);
+
+/* Emitted points use the derived field's name. */
+points = [];
+aggr.on('data', function (pt) { points.push(pt); });
+aggr.on('end', function () {
+	mod_assert.deepEqual(points, [
+	    { 'fields': { 'https': 'no', 'status': '2xx' }, 'value': 2 },
+	    { 'fields': { 'https': 'no', 'status': '5xx' }, 'value': 1 },
+	    { 'fields': { 'https': 'yes', 'status': '4xx' }, 'value': 1 }
+	]);
+	console.log('test %s okay', mod_path.basename(process.argv[1]));
+});
+aggr.end();
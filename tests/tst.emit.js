@@ -0,0 +1,111 @@
+var mod_assert = require('assert');
+var mod_path = require('path');
+var mod_skinner = require('../lib/skinner');
+
+var datapoints, results, aggr, downstream, points;
+
+datapoints = [
+    { 'fields': { 'host': 'host1' }, 'value': 1 },
+    { 'fields': { 'host': 'host2' }, 'value': 2 },
+    { 'fields': { 'host': 'host1' }, 'value': 4 },
+    { 'fields': { 'host': 'host2' }, 'value': 8 },
+    { 'fields': { 'host': 'host1' }, 'value': 16 }
+];
+
+/*
+ * Write the data points to a new aggregator with options "args" and return
+ * everything it emitted.
+ */
+function emitted(args)
+{
+	var rv = [];
+
+	aggr = mod_skinner.createAggregator(args);
+	aggr.on('data', function (result) { rv.push(result); });
+	datapoints.forEach(function (pt) { aggr.write(pt); });
+	aggr.end();
+	return (rv);
+}
+
+/* Cumulative snapshots cover all points so far. */
+results = emitted({ 'decomps': [ 'host' ], 'emitEvery': 2 });
+mod_assert.deepEqual(results, [
+    [ [ 'host1', 1 ], [ 'host2', 2 ] ],
+    [ [ 'host1', 5 ], [ 'host2', 10 ] ],
+    [ [ 'host1', 21 ], [ 'host2', 10 ] ]
+]);
+
+/* Delta snapshots cover only the points since the last one. */
+results = emitted({
+    'decomps': [ 'host' ],
+    'emitEvery': 2,
+    'emitMode': 'delta'
+});
+mod_assert.deepEqual(results, [
+    [ [ 'host1', 1 ], [ 'host2', 2 ] ],
+    [ [ 'host1', 4 ], [ 'host2', 8 ] ],
+    [ [ 'host1', 16 ] ]
+]);
+mod_assert.deepEqual(aggr.result(), [ [ 'host1', 16 ] ]);
+mod_assert.equal(aggr.stats().ninputs, 5);
+
+results = emitted({
+    'breakdowns': { 'all': [], 'byhost': [ 'host' ] },
+    'emitEvery': 3,
+    'emitMode': 'delta'
+});
+mod_assert.deepEqual(results, [
+    { 'all': [ 7 ], 'byhost': [ [ 'host1', 5 ], [ 'host2', 2 ] ] },
+    { 'all': [ 24 ], 'byhost': [ [ 'host2', 8 ], [ 'host1', 16 ] ] }
+]);
+
+/* Delta snapshots of data points add up to the same totals downstream. */
+downstream = mod_skinner.createAggregator({ 'decomps': [ 'host' ] });
+points = [];
+emitted({
+    'decomps': [ 'host' ],
+    'emitEvery': 2,
+    'emitMode': 'delta',
+    'resultsAsPoints': true
+}).forEach(function (pt) {
+	points.push(pt);
+	downstream.aggregate(pt);
+});
+mod_assert.equal(points.length, 5);
+mod_assert.deepEqual(downstream.result(),
+    mod_skinner.aggregate(datapoints, [ 'host' ]));
+
+/* Bad options produce descriptive errors. */
+[
+    [ { 'emitInterval': 0 }, /emitInterval must be a positive number/ ],
+    [ { 'emitEvery': 2.5 }, /emitEvery must be a positive integer/ ],
+    [ { 'emitMode': 'total' }, /emitMode must be "cumulative" or "delta"/ ],
+    [ { 'emitEvery': 10, 'window': { 'field': 'time', 'width': 10 } },
+	/emitInterval and emitEvery are not supported for windowed/ ]
+].forEach(function (testcase) {
+	mod_assert.throws(function () {
+		mod_skinner.createAggregator(testcase[0]);
+	}, testcase[1]);
+});
+
+/* Snapshots can also be emitted on a timer. */
+results = [];
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'host' ],
+    'emitInterval': 10,
+    'emitMode': 'delta'
+});
+aggr.on('data', function (result) { results.push(result); });
+aggr.write(datapoints[0]);
+aggr.write(datapoints[1]);
+setTimeout(function () {
+	mod_assert.ok(results.length > 0);
+	mod_assert.deepEqual(results[0], [ [ 'host1', 1 ], [ 'host2', 2 ] ]);
+	results = [];
+	aggr.write(datapoints[2]);
+	aggr.end();
+}, 50);
+aggr.on('end', function () {
+	mod_assert.deepEqual(results[results.length - 1], [ [ 'host1', 4 ] ]);
+	console.log('test %s okay', mod_path.basename(process.argv[1]));
+});
@@ -0,0 +1,113 @@
+var mod_assert = require('assert');
+var mod_path = require('path');
+var mod_skinner = require('../lib/skinner');
+
+var datapoints, aggr, state, restored;
+
+datapoints = [
+    { 'fields': { 'method': 'GET', 'code': 200, 'latency': 50 }, 'value': 1 },
+    { 'fields': { 'method': 'GET', 'code': 404, 'latency': 120 }, 'value': 1 },
+    { 'fields': { 'method': 'PUT', 'code': 200, 'latency': 300 }, 'value': 1 },
+    { 'fields': { 'method': 'GET', 'code': 500, 'latency': 900 }, 'value': 1 },
+    { 'fields': { 'method': 'DELETE', 'code': 204 }, 'value': 1 }
+];
+
+function check(filter, expected)
+{
+	mod_assert.deepEqual(mod_skinner.aggregate(datapoints, [ 'method' ], {},
+	    { 'filter': filter }), expected);
+}
+
+/* Comparison operators. */
+check({ 'eq': [ 'method', 'GET' ] }, [ [ 'GET', 3 ] ]);
+check({ 'ne': [ 'method', 'GET' ] }, [ [ 'PUT', 1 ], [ 'DELETE', 1 ] ]);
+check({ 'gt': [ 'latency', 100 ] }, [ [ 'GET', 2 ], [ 'PUT', 1 ] ]);
+check({ 'ge': [ 'latency', 300 ] }, [ [ 'PUT', 1 ], [ 'GET', 1 ] ]);
+check({ 'lt': [ 'latency', 300 ] }, [ [ 'GET', 2 ] ]);
+check({ 'le': [ 'latency', 300 ] }, [ [ 'GET', 2 ], [ 'PUT', 1 ] ]);
+
+/* Comparisons are strict. */
+check({ 'eq': [ 'code', '200' ] }, []);
+
+/* Boolean operators. */
+check({ 'and': [
+    { 'eq': [ 'method', 'GET' ] },
+    { 'ge': [ 'code', 400 ] }
+] }, [ [ 'GET', 2 ] ]);
+check({ 'or': [
+    { 'eq': [ 'method', 'PUT' ] },
+    { 'eq': [ 'code', 204 ] }
+] }, [ [ 'PUT', 1 ], [ 'DELETE', 1 ] ]);
+check({ 'not': { 'eq': [ 'method', 'GET' ] } },
+    [ [ 'PUT', 1 ], [ 'DELETE', 1 ] ]);
+check({}, [ [ 'GET', 3 ], [ 'PUT', 1 ], [ 'DELETE', 1 ] ]);
+
+/* Function filters. */
+check(function (pt) { return (pt.fields.code % 100 === 4); },
+    [ [ 'GET', 1 ], [ 'DELETE', 1 ] ]);
+
+/* Filtered points are counted, and aren't checked for errors. */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'method' ],
+    'filter': { 'eq': [ 'method', 'GET' ] }
+});
+datapoints.forEach(function (pt) { aggr.aggregate(pt); });
+aggr.aggregate({ 'fields': { 'method': 'PUT' }, 'value': 'bogus' });
+mod_assert.deepEqual(aggr.stats(), {
+    'ninputs': 6,
+    'nparsed': 0,
+    'nerr_nonnumeric': 0,
+    'nerr_invalid': 0,
+    'nerr_object': 0,
+    'nerr_fields': 0,
+    'nerr_value': 0,
+    'nmissing': 0,
+    'nfiltered': 3
+});
+
+/* Declarative filters are saved and restored. */
+state = JSON.parse(JSON.stringify(aggr));
+mod_assert.deepEqual(state.filter, { 'eq': [ 'method', 'GET' ] });
+restored = mod_skinner.restoreAggregator(state);
+restored.aggregate(datapoints[0]);
+restored.aggregate(datapoints[2]);
+mod_assert.deepEqual(restored.result(), [ [ 'GET', 4 ] ]);
+mod_assert.equal(restored.stats().nfiltered, 4);
+
+/* Function filters must be passed again. */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'method' ],
+    'filter': function () { return (false); }
+});
+state = JSON.parse(JSON.stringify(aggr));
+mod_assert.throws(function () { mod_skinner.restoreAggregator(state); },
+    /saved aggregator used a custom filter, but no filter was specified/);
+restored = mod_skinner.restoreAggregator(state,
+    { 'filter': function () { return (true); } });
+restored.aggregate(datapoints[0]);
+mod_assert.deepEqual(restored.result(), [ [ 'GET', 1 ] ]);
+
+/* Filtered counts are merged. */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'method' ],
+    'filter': { 'eq': [ 'method', 'GET' ] }
+});
+aggr.aggregate(datapoints[2]);
+aggr.merge(restored);
+mod_assert.equal(aggr.stats().nfiltered, 1);
+mod_assert.deepEqual(aggr.result(), [ [ 'GET', 1 ] ]);
+
+/* Invalid filters. */
+mod_assert.throws(function () { check([], []); },
+    /invalid filter: expected an object/);
+mod_assert.throws(function () {
+	check({ 'eq': [ 'method', 'GET' ], 'ne': [ 'code', 200 ] }, []);
+}, /invalid filter: expected exactly one operator, but found "eq, ne"/);
+mod_assert.throws(function () { check({ 'gt': [ 'latency' ] }, []); },
+    /invalid filter: "gt" expects \[ field, value \]/);
+mod_assert.throws(function () { check({ 'and': [] }, []); },
+    /invalid filter: "and" expects a non-empty array of filters/);
+mod_assert.throws(function () { check({ 'not': { 'like': [] } }, []); },
+    /invalid filter: unknown operator "like"/);
+
+console.log('test %s okay', mod_path.basename(process.argv[1]));
@@ -0,0 +1,120 @@
+var mod_assert = require('assert');
+var mod_path = require('path');
+var mod_skinner = require('../lib/skinner');
+
+var bucketizer, dist, datapoints;
+
+/* BEGIN JSSTYLED */
+bucketizer = mod_skinner.makeP2Bucketizer();
+dist = [];
+[ 1, 2, 3, 4, 5, 9, 9, 9, 9, 17 ].forEach(function (v) {
+	bucketizer.bucketize(dist, v, 1);
+});
+mod_assert.equal(mod_skinner.formatDistribution(bucketizer, dist), [
+    '           value  ------------- Distribution ------------- count',
+    '               0 |                                         0',
+    '               1 |@@@@                                     1',
+    '               2 |@@@@@@@@                                 2',
+    '               4 |@@@@@@@@                                 2',
+    '               8 |@@@@@@@@@@@@@@@@                         4',
+    '              16 |@@@@                                     1',
+    '              32 |                                         0',
+    ''
+].join('\n'));
+
+/* Custom widths, negative values, and missing buckets. */
+bucketizer = mod_skinner.makeLinearBucketizer(10);
+dist = [];
+[ -15, 3, 8, 32 ].forEach(function (v) { bucketizer.bucketize(dist, v, 1); });
+mod_assert.equal(mod_skinner.formatDistribution(bucketizer, dist,
+    { 'width': 20 }), [
+    '           value  --- Distribution --- count',
+    '             -30 |                     0',
+    '             -20 |@@@@@                1',
+    '             -10 |                     0',
+    '               0 |@@@@@@@@@@           2',
+    '              10 |                     0',
+    '              20 |                     0',
+    '              30 |@@@@@                1',
+    '              40 |                     0',
+    ''
+].join('\n'));
+
+/* Fractional bounds are rounded, and long labels widen the column. */
+bucketizer = mod_skinner.makeLinearBucketizer(0.1);
+dist = [];
+[ 0.05, 0.31, 0.35 ].forEach(function (v) {
+	bucketizer.bucketize(dist, v, 1);
+});
+mod_assert.equal(mod_skinner.formatDistribution(bucketizer, dist,
+    { 'width': 20 }), [
+    '           value  --- Distribution --- count',
+    '            -0.1 |                     0',
+    '               0 |@@@@@@@              1',
+    '             0.1 |                     0',
+    '             0.2 |                     0',
+    '             0.3 |@@@@@@@@@@@@@        2',
+    '             0.4 |                     0',
+    ''
+].join('\n'));
+bucketizer = mod_skinner.makeLinearBucketizer(1e-31);
+dist = [];
+bucketizer.bucketize(dist, 1.23456789012e-20, 1);
+mod_assert.equal(mod_skinner.formatDistribution(bucketizer, dist,
+    { 'width': 20 }), [
+    '            value  --- Distribution --- count',
+    ' 1.2345678901e-20 |                     0',
+    '1.23456789011e-20 |@@@@@@@@@@@@@@@@@@@@ 1',
+    '1.23456789012e-20 |                     0',
+    ''
+].join('\n'));
+
+/* Clamped bucketizers. */
+bucketizer = mod_skinner.makeLinearBucketizer(10, 0, 30);
+dist = [];
+[ -15, 3, 8, 32 ].forEach(function (v) { bucketizer.bucketize(dist, v, 1); });
+mod_assert.equal(mod_skinner.formatDistribution(bucketizer, dist), [
+    '           value  ------------- Distribution ------------- count',
+    '             < 0 |@@@@@@@@@@                               1',
+    '               0 |@@@@@@@@@@@@@@@@@@@@                     2',
+    '              10 |                                         0',
+    '              20 |                                         0',
+    '           >= 30 |@@@@@@@@@@                               1',
+    ''
+].join('\n'));
+
+/* Empty distributions. */
+mod_assert.equal(mod_skinner.formatDistribution(bucketizer, []),
+    '           value  ------------- Distribution ------------- count\n');
+
+/* One chart per group for multi-dimensional results. */
+bucketizer = mod_skinner.makeLinearBucketizer(10);
+datapoints = [
+    { 'fields': { 'dc': 'east', 'host': 'a', 'lat': 5 }, 'value': 3 },
+    { 'fields': { 'dc': 'east', 'host': 'a', 'lat': 15 }, 'value': 1 },
+    { 'fields': { 'dc': 'west', 'host': 'b', 'lat': 5 }, 'value': 2 }
+];
+mod_assert.equal(mod_skinner.formatDistribution(bucketizer,
+    mod_skinner.aggregate(datapoints, [ 'dc', 'host', 'lat' ],
+    { 'lat': bucketizer }), { 'width': 20 }), [
+    '  east, a',
+    '           value  --- Distribution --- count',
+    '             -10 |                     0',
+    '               0 |@@@@@@@@@@@@@@@      3',
+    '              10 |@@@@@                1',
+    '              20 |                     0',
+    '',
+    '  west, b',
+    '           value  --- Distribution --- count',
+    '             -10 |                     0',
+    '               0 |@@@@@@@@@@@@@@@@@@@@ 2',
+    '              10 |                     0',
+    ''
+].join('\n'));
+/* END JSSTYLED */
+
+mod_assert.throws(function () {
+	mod_skinner.formatDistribution(bucketizer, dist, { 'width': 5 });
+}, /width must be at least 14/);
+
+console.log('test %s okay', mod_path.basename(process.argv[1]));
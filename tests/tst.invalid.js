@@ -0,0 +1,102 @@
+var mod_assert = require('assert');
+var mod_path = require('path');
+var mod_skinner = require('../lib/skinner');
+
+var datapoints, aggr, errors, state, restored, other;
+
+datapoints = [
+    null,
+    'host1',
+    [ 1, 2 ],
+    { 'value': 1 },
+    { 'fields': 'host1', 'value': 1 },
+    { 'fields': { 'host': 'host1' } },
+    { 'fields': { 'host': 'host1' }, 'value': '3' },
+    { 'fields': { 'host': 'host1' }, 'value': NaN },
+    { 'fields': { 'host': 'host1', 'latency': 'slow' }, 'value': 1 },
+    { 'fields': { 'host': 'host1', 'latency': 'Infinity' }, 'value': 1 },
+    { 'fields': { 'host': 'host1', 'latency': 10 }, 'value': 1 }
+];
+
+/* Malformed data points are reported and counted, never thrown. */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'host', 'latency' ],
+    'bucketizers': { 'latency': mod_skinner.makeP2Bucketizer() }
+});
+errors = [];
+aggr.on('invalid_object', function (_, err, num) {
+	errors.push([ num, err.message ]);
+});
+datapoints.forEach(function (pt) { aggr.aggregate(pt); });
+mod_assert.deepEqual(errors, [
+    [ 1, 'data point is not an object' ],
+    [ 2, 'data point is not an object' ],
+    [ 3, 'data point is not an object' ],
+    [ 4, 'data point "fields" is not an object' ],
+    [ 5, 'data point "fields" is not an object' ],
+    [ 6, 'data point "value" is not a number' ],
+    [ 7, 'data point "value" is not a number' ],
+    [ 8, 'data point "value" is not a number' ],
+    [ 9, 'value for field "latency" is not a number' ],
+    [ 10, 'value for field "latency" is not finite' ]
+]);
+mod_assert.deepEqual(aggr.result(), [ [ 'host1', 4, 1 ] ]);
+mod_assert.deepEqual(aggr.stats(), {
+    'ninputs': 11,
+    'nparsed': 2,
+    'nerr_nonnumeric': 2,
+    'nerr_invalid': 8,
+    'nerr_object': 3,
+    'nerr_fields': 2,
+    'nerr_value': 3,
+    'nmissing': 0
+});
+
+/* The counters are merged, saved, and restored. */
+other = mod_skinner.createAggregator({
+    'decomps': [ 'host', 'latency' ],
+    'bucketizers': { 'latency': mod_skinner.makeP2Bucketizer() }
+});
+other.aggregate({});
+aggr.merge(other);
+mod_assert.equal(aggr.stats()['nerr_fields'], 3);
+state = JSON.parse(JSON.stringify(aggr));
+restored = mod_skinner.restoreAggregator(state);
+mod_assert.deepEqual(restored.stats(), aggr.stats());
+
+/* The function interface works the same way. */
+mod_assert.deepEqual(mod_skinner.aggregate(datapoints, [ 'host' ]),
+    [ [ 'host1', 3 ] ]);
+
+/* Bad options produce descriptive errors. */
+[
+    [ null, /aggregator options must be an object/ ],
+    [ { 'decomps': 'host' }, /decomps must be an array/ ],
+    [ { 'decomps': [ 'host', 3 ] }, /decomps\[1\] must be a string/ ],
+    [ { 'bucketizers': 'p2' }, /bucketizers must be an object/ ],
+    [ { 'bucketizers': { 'latency': 10 } },
+	/bucketizer for field "latency" must be a bucketizer or a bucketizer/ ],
+    [ { 'reducer': 'median' }, /unknown reducer: "median"/ ],
+    [ { 'reducer': { 'init': function () { return (0); } } },
+	/reducer must implement "accumulate"/ ],
+    [ { 'decomps': [ 'host' ], 'limits': { 'host': 0 } },
+	/limit for field "host" must be a positive integer/ ],
+    [ { 'window': { 'field': 'time', 'width': -1 } },
+	/window.width must be a positive number/ ],
+    [ { 'maxGroups': 1.5 }, /maxGroups must be a positive integer/ ],
+    [ { 'filter': 'host1' }, /filter must be a function or an object/ ],
+    [ { 'derivedFields': 3 }, /derivedFields must be an object/ ]
+].forEach(function (testcase) {
+	mod_assert.throws(function () {
+		mod_skinner.createAggregator(testcase[0]);
+	}, function (err) {
+		return (err.name == 'VError' && testcase[1].test(err.message));
+	});
+});
+
+mod_assert.throws(function () { mod_skinner.aggregate('bogus'); },
+    /data points must be an array/);
+mod_assert.throws(function () { mod_skinner.restoreAggregator(null); },
+    /invalid aggregator state/);
+
+console.log('test %s okay', mod_path.basename(process.argv[1]));
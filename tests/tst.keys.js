@@ -0,0 +1,63 @@
+var mod_assert = require('assert');
+var mod_path = require('path');
+var mod_skinner = require('../lib/skinner');
+
+var datapoints, aggr, state, restored;
+
+datapoints = [
+    { 'fields': { 'host': 1, 'latency': 5 }, 'value': 1 },
+    { 'fields': { 'host': '1', 'latency': 15 }, 'value': 2 },
+    { 'fields': { 'host': 1, 'latency': 7 }, 'value': 4 },
+    { 'fields': { 'host': 'hasOwnProperty', 'latency': 25 }, 'value': 8 }
+];
+
+function makeAggregator()
+{
+	return (mod_skinner.createAggregator({
+	    'decomps': [ 'host', 'latency' ],
+	    'bucketizers': { 'latency': mod_skinner.makeLinearBucketizer(10) }
+	}));
+}
+
+/* Discrete keys keep their type, and bucket indexes stay numeric. */
+aggr = makeAggregator();
+datapoints.forEach(function (pt) { aggr.aggregate(pt); });
+mod_assert.deepStrictEqual(aggr.result(), [
+    [ 1, 0, 5 ],
+    [ '1', 1, 2 ],
+    [ 'hasOwnProperty', 2, 8 ]
+]);
+mod_assert.deepStrictEqual(mod_skinner.aggregate(datapoints, [ 'host' ]), [
+    [ 1, 5 ],
+    [ '1', 2 ],
+    [ 'hasOwnProperty', 8 ]
+]);
+
+/* Key types survive a save and restore. */
+state = JSON.parse(JSON.stringify(aggr));
+mod_assert.deepStrictEqual(state.value, [
+    [ 1, [ [ 0, 5 ] ] ],
+    [ '1', [ [ 1, 2 ] ] ],
+    [ 'hasOwnProperty', [ [ 2, 8 ] ] ]
+]);
+restored = mod_skinner.restoreAggregator(state);
+mod_assert.deepStrictEqual(restored.result(), aggr.result());
+
+state.value = [ [ 1 ] ];
+mod_assert.throws(function () { mod_skinner.restoreAggregator(state); },
+    /invalid aggregator state/);
+
+/* Nested fields are read by dotted path, preferring a literal dotted key. */
+mod_assert.deepStrictEqual(mod_skinner.aggregate([
+    { 'fields': { 'req': { 'method': 'GET' } }, 'value': 1 },
+    { 'fields': { 'req': { 'method': 'PUT' } }, 'value': 2 },
+    { 'fields': { 'req.method': 'GET', 'req': { 'method': 'PUT' } },
+	'value': 4 },
+    { 'fields': { 'req': 'GET' }, 'value': 8 }
+], [ 'req.method' ]), [
+    [ 'GET', 5 ],
+    [ 'PUT', 2 ],
+    [ '<missing>', 8 ]
+]);
+
+console.log('test %s okay', mod_path.basename(process.argv[1]));
@@ -0,0 +1,133 @@
+var mod_assert = require('assert');
+var mod_path = require('path');
+var mod_skinner = require('../lib/skinner');
+
+var datapoints, result, aggr, state, restored, points;
+
+datapoints = [
+    { 'fields': { 'host': 'host1', 'user': 'alice' }, 'value': 5 },
+    { 'fields': { 'host': 'host1', 'user': 'bob' }, 'value': 10 },
+    { 'fields': { 'host': 'host1', 'user': 'carol' }, 'value': 1 },
+    { 'fields': { 'host': 'host1', 'user': 'dave' }, 'value': 2 },
+    { 'fields': { 'host': 'host2', 'user': 'alice' }, 'value': 7 },
+    { 'fields': { 'host': 'host2', 'user': 'bob' }, 'value': 3 },
+    { 'fields': { 'host': 'host3', 'user': 'erin' }, 'value': 4 },
+    { 'fields': { 'host': 'host3', 'user': 'alice' }, 'value': 1 }
+];
+
+/* Limit on a single decomp. */
+result = mod_skinner.aggregate(datapoints, [ 'user' ], {},
+    { 'limits': { 'user': 2 } });
+mod_assert.deepEqual(result, [
+    [ 'alice', 13 ],
+    [ 'bob', 13 ],
+    [ '<other>', 7 ]
+]);
+
+/* Limits larger than the number of values have no effect. */
+result = mod_skinner.aggregate(datapoints, [ 'user' ], {},
+    { 'limits': { 'user': 5 } });
+mod_assert.deepEqual(result, mod_skinner.aggregate(datapoints, [ 'user' ]));
+
+/* Limits on the inner decomp apply within each group. */
+result = mod_skinner.aggregate(datapoints, [ 'host', 'user' ], {},
+    { 'limits': { 'user': 1 }, 'otherKey': 'rest' });
+mod_assert.deepEqual(result, [
+    [ 'host1', 'bob', 10 ],
+    [ 'host1', 'rest', 8 ],
+    [ 'host2', 'alice', 7 ],
+    [ 'host2', 'rest', 3 ],
+    [ 'host3', 'erin', 4 ],
+    [ 'host3', 'rest', 1 ]
+]);
+
+/* Limits on the outer decomp fold entire subtrees together. */
+result = mod_skinner.aggregate(datapoints, [ 'host', 'user' ], {},
+    { 'limits': { 'host': 1 } });
+mod_assert.deepEqual(result, [
+    [ 'host1', 'alice', 5 ],
+    [ 'host1', 'bob', 10 ],
+    [ 'host1', 'carol', 1 ],
+    [ 'host1', 'dave', 2 ],
+    [ '<other>', 'alice', 8 ],
+    [ '<other>', 'bob', 3 ],
+    [ '<other>', 'erin', 4 ]
+]);
+
+/* ... and both levels may be limited. */
+result = mod_skinner.aggregate(datapoints, [ 'host', 'user' ], {},
+    { 'limits': { 'host': 1, 'user': 1 } });
+mod_assert.deepEqual(result, [
+    [ 'host1', 'bob', 10 ],
+    [ 'host1', '<other>', 8 ],
+    [ '<other>', 'alice', 8 ],
+    [ '<other>', '<other>', 7 ]
+]);
+
+/* Values are ranked by what the reducer reports. */
+result = mod_skinner.aggregate(datapoints, [ 'user' ], {},
+    { 'limits': { 'user': 1 }, 'reducer': 'max' });
+mod_assert.deepEqual(result, [ [ 'bob', 10 ], [ '<other>', 7 ] ]);
+
+/* Points whose value is already the "other" key are folded in too. */
+result = mod_skinner.aggregate(datapoints.concat([
+    { 'fields': { 'host': 'host1', 'user': '<other>' }, 'value': 100 }
+]), [ 'user' ], {}, { 'limits': { 'user': 4 } });
+mod_assert.deepEqual(result, [
+    [ 'alice', 13 ],
+    [ 'bob', 13 ],
+    [ 'dave', 2 ],
+    [ 'erin', 4 ],
+    [ '<other>', 101 ]
+]);
+
+/* Limits apply to results as points, too. */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'host', 'user' ],
+    'limits': { 'user': 1 },
+    'resultsAsPoints': true
+});
+datapoints.forEach(function (pt) { aggr.aggregate(pt); });
+mod_assert.deepEqual(aggr.result(),
+    mod_skinner.aggregate(datapoints, [ 'host', 'user' ], {},
+    { 'limits': { 'user': 1 } }));
+
+/* The aggregator's state isn't affected, and limits are saved. */
+state = JSON.parse(JSON.stringify(aggr));
+mod_assert.deepEqual(state.value[0], [ 'host1',
+    [ [ 'alice', 5 ], [ 'bob', 10 ], [ 'carol', 1 ], [ 'dave', 2 ] ] ]);
+mod_assert.deepEqual(state.limits, { 'user': 1 });
+mod_assert.equal(state.otherKey, '<other>');
+restored = mod_skinner.restoreAggregator(state);
+mod_assert.deepEqual(restored.result(), aggr.result());
+
+/* Bad limits. */
+mod_assert.throws(function () {
+	mod_skinner.createAggregator({ 'decomps': [ 'host' ],
+	    'limits': { 'user': 1 } });
+}, /limit specified for field "user" not in decomps/);
+mod_assert.throws(function () {
+	mod_skinner.createAggregator({ 'decomps': [ 'host' ],
+	    'limits': { 'host': 0 } });
+}, /limit for field "host" must be a positive integer/);
+mod_assert.throws(function () {
+	mod_skinner.createAggregator({ 'decomps': [ 'size' ],
+	    'bucketizers': { 'size': mod_skinner.makeP2Bucketizer() },
+	    'limits': { 'size': 3 } });
+}, /cannot limit bucketized field "size"/);
+
+/* Limits apply to points emitted by the stream, too. */
+points = [];
+aggr.on('data', function (pt) { points.push(pt); });
+aggr.on('end', function () {
+	mod_assert.deepEqual(points, [
+	    { 'fields': { 'host': 'host1', 'user': 'bob' }, 'value': 10 },
+	    { 'fields': { 'host': 'host1', 'user': '<other>' }, 'value': 8 },
+	    { 'fields': { 'host': 'host2', 'user': 'alice' }, 'value': 7 },
+	    { 'fields': { 'host': 'host2', 'user': '<other>' }, 'value': 3 },
+	    { 'fields': { 'host': 'host3', 'user': 'erin' }, 'value': 4 },
+	    { 'fields': { 'host': 'host3', 'user': '<other>' }, 'value': 1 }
+	]);
+	console.log('test %s okay', mod_path.basename(process.argv[1]));
+});
+aggr.end();
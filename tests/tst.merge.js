@@ -0,0 +1,140 @@
+var mod_assert = require('assert');
+var mod_path = require('path');
+var mod_skinner = require('../lib/skinner');
+
+var datapoints, bucketizers, whole, first, second, args;
+
+/* BEGIN JSSTYLED */
+datapoints = [
+    { 'fields': { 'host': 'host1', 'cpu': 'cpu0', 'util': 83 }, 'value': 1 },
+    { 'fields': { 'host': 'host1', 'cpu': 'cpu1', 'util': 13 }, 'value': 1 },
+    { 'fields': { 'host': 'host2', 'cpu': 'cpu0', 'util': 37 }, 'value': 1 },
+    { 'fields': { 'host': 'host2', 'cpu': 'cpu1', 'util': 53 }, 'value': 1 },
+    { 'fields': { 'host': 'host3', 'cpu': 'cpu0', 'util': 88 }, 'value': 1 },
+    { 'fields': { 'host': 'host3', 'cpu': 'cpu1', 'util':  9 }, 'value': 1 },
+    { 'fields': { 'host': 'host4', 'cpu': 'cpu0', 'util': 98 }, 'value': 1 },
+    { 'fields': { 'host': 'host4', 'cpu': 'cpu1', 'util':  5 }, 'value': 1 }
+];
+/* END JSSTYLED */
+
+bucketizers = { 'util': mod_skinner.makeLinearBucketizer(10) };
+
+/*
+ * Split the data points between two aggregators, merge them, and check that we
+ * get the same result as aggregating all of them together.
+ */
+function splitAndMerge(decomps, reducer)
+{
+	var aggrs;
+
+	aggrs = [ 0, 1 ].map(function () {
+		return (mod_skinner.createAggregator({
+		    'decomps': decomps,
+		    'bucketizers': {
+			'util': mod_skinner.makeLinearBucketizer(10)
+		    },
+		    'reducer': reducer
+		}));
+	});
+
+	datapoints.forEach(function (p, i) {
+		aggrs[i < 3 ? 0 : 1].aggregate(p);
+	});
+
+	mod_assert.equal(aggrs[0].merge(aggrs[1]), aggrs[0]);
+	mod_assert.deepEqual(aggrs[0].stats(), {
+	    'ninputs': datapoints.length,
+	    'nparsed': 0,
+	    'nerr_nonnumeric': 0,
+	    'nerr_invalid': 0,
+	    'nerr_object': 0,
+	    'nerr_fields': 0,
+	    'nerr_value': 0,
+	    'nmissing': 0
+	});
+	return (aggrs[0].result());
+}
+
+[ [], [ 'host' ], [ 'util' ], [ 'cpu', 'util' ], [ 'util', 'cpu', 'host' ] ].
+    forEach(function (decomps) {
+	[ 'sum', 'count', 'min', 'max', 'mean', 'variance' ].forEach(
+	    function (reducer) {
+		mod_assert.deepEqual(splitAndMerge(decomps, reducer),
+		    mod_skinner.aggregate(datapoints, decomps, bucketizers,
+		    { 'reducer': reducer }));
+	    });
+    });
+
+/*
+ * Check that aggregators with different configurations cannot be merged.
+ */
+args = {
+    'decomps': [ 'cpu', 'util' ],
+    'bucketizers': bucketizers
+};
+first = mod_skinner.createAggregator(args);
+
+second = mod_skinner.createAggregator({
+    'decomps': [ 'util', 'cpu' ],
+    'bucketizers': bucketizers
+});
+mod_assert.throws(function () { first.merge(second); },
+    /cannot merge aggregators with different decomps/);
+
+second = mod_skinner.createAggregator({
+    'decomps': [ 'cpu', 'util' ],
+    'bucketizers': { 'util': mod_skinner.makeLinearBucketizer(5) }
+});
+mod_assert.throws(function () { first.merge(second); },
+    /different bucketizers for field "util"/);
+
+second = mod_skinner.createAggregator({
+    'decomps': [ 'cpu', 'util' ],
+    'bucketizers': { 'util': mod_skinner.makeP2Bucketizer() }
+});
+mod_assert.throws(function () { first.merge(second); },
+    /different bucketizers for field "util"/);
+
+second = mod_skinner.createAggregator({
+    'decomps': [ 'cpu', 'util' ],
+    'bucketizers': bucketizers,
+    'reducer': 'max'
+});
+mod_assert.throws(function () { first.merge(second); },
+    /different reducers/);
+
+/*
+ * Check merging flattened results.
+ */
+whole = mod_skinner.aggregate(datapoints, [ 'cpu', 'util' ], bucketizers);
+first = mod_skinner.aggregate(datapoints.slice(0, 5), [ 'cpu', 'util' ],
+    bucketizers);
+second = mod_skinner.aggregate(datapoints.slice(5), [ 'cpu', 'util' ],
+    bucketizers);
+mod_assert.deepEqual(mod_skinner.merge([ first, second ], [ 'cpu', 'util' ],
+    bucketizers), whole);
+mod_assert.deepEqual(mod_skinner.merge([ second, first ], [ 'cpu', 'util' ],
+    bucketizers),
+    [ [ 'cpu1', 0, 2 ],
+      [ 'cpu1', 1, 1 ],
+      [ 'cpu1', 5, 1 ],
+      [ 'cpu0', 3, 1 ],
+      [ 'cpu0', 8, 2 ],
+      [ 'cpu0', 9, 1 ] ]);
+mod_assert.deepEqual(mod_skinner.merge([ [ 3 ], [ 5 ] ], []), [ 8 ]);
+mod_assert.deepEqual(mod_skinner.merge([], [ 'cpu' ]), []);
+mod_assert.throws(function () {
+	mod_skinner.merge([ first, [ [ 'cpu0', 3 ] ] ], [ 'cpu', 'util' ]);
+}, /result 1: expected rows with 3 columns/);
+mod_assert.throws(function () {
+	mod_skinner.merge([ first, [ [ 'cpu0', '3', 1 ] ] ],
+	    [ 'cpu', 'util' ], bucketizers);
+}, /result 1: value for bucketized field "util" is not a number/);
+
+/* Columns that aren't bucketized may mix numbers and strings. */
+mod_assert.deepEqual(mod_skinner.merge([
+    [ [ 200, 1 ], [ '<missing>', 1 ] ],
+    [ [ '200', 2 ], [ 200, 4 ] ]
+], [ 'code' ]), [ [ 200, 5 ], [ '<missing>', 1 ], [ '200', 2 ] ]);
+
+console.log('test %s okay', mod_path.basename(process.argv[1]));
@@ -0,0 +1,168 @@
+var mod_assert = require('assert');
+var mod_path = require('path');
+var mod_skinner = require('../lib/skinner');
+
+var datapoints, aggr, errors, state, restored, points, result, bucketizer;
+
+datapoints = [
+    { 'fields': { 'host': 'host1', 'latency': 5 }, 'value': 1 },
+    { 'fields': { 'host': 'undefined', 'latency': 20 }, 'value': 1 },
+    { 'fields': { 'latency': 3 }, 'value': 1 },
+    { 'fields': { 'host': 'host1' }, 'value': 1 },
+    { 'fields': {}, 'value': 1 }
+];
+
+function aggregate(decomps, options)
+{
+	return (mod_skinner.aggregate(datapoints, decomps,
+	    { 'latency': mod_skinner.makeP2Bucketizer() }, options));
+}
+
+/* By default, missing fields are grouped separately from real values. */
+mod_assert.deepEqual(aggregate([ 'host' ]), [
+    [ 'host1', 2 ],
+    [ 'undefined', 1 ],
+    [ '<missing>', 2 ]
+]);
+mod_assert.deepEqual(aggregate([ 'host' ], { 'missingKey': '(none)' }), [
+    [ 'host1', 2 ],
+    [ 'undefined', 1 ],
+    [ '(none)', 2 ]
+]);
+
+/*
+ * Missing values of bucketized fields can't be grouped, so those points are
+ * dropped like other non-numeric values, and the distribution helpers work on
+ * the results.
+ */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'host', 'latency' ],
+    'bucketizers': { 'latency': mod_skinner.makeP2Bucketizer() }
+});
+errors = [];
+aggr.on('invalid_object', function (_, err, num) {
+	errors.push([ num, err.message ]);
+});
+datapoints.forEach(function (pt) { aggr.aggregate(pt); });
+mod_assert.deepEqual(errors, [
+    [ 4, 'value for field "latency" is not a number' ],
+    [ 5, 'value for field "latency" is not a number' ]
+]);
+mod_assert.equal(aggr.stats()['nerr_nonnumeric'], 2);
+mod_assert.equal(aggr.stats()['nmissing'], 1);
+result = aggr.result();
+mod_assert.deepEqual(result, [
+    [ 'host1', 3, 1 ],
+    [ 'undefined', 5, 1 ],
+    [ '<missing>', 2, 1 ]
+]);
+mod_assert.deepEqual(aggr.result({ 'dense': true }), result);
+
+bucketizer = mod_skinner.makeP2Bucketizer();
+result = aggregate([ 'latency' ]);
+mod_assert.deepEqual(result, [ [ 2, 1 ], [ 3, 1 ], [ 5, 1 ] ]);
+mod_assert.deepEqual(mod_skinner.ordinalToBounds(bucketizer, result),
+    [ [ [ 2, 3 ], 1 ], [ [ 4, 7 ], 1 ], [ [ 16, 31 ], 1 ] ]);
+mod_assert.equal(mod_skinner.quantiles(bucketizer, result, [ 0.5 ])[0].value,
+    5.5);
+mod_assert.equal(typeof (mod_skinner.formatDistribution(bucketizer, result)),
+    'string');
+mod_assert.deepEqual(mod_skinner.merge([ result, result ], [ 'latency' ],
+    { 'latency': bucketizer }), [ [ 2, 2 ], [ 3, 2 ], [ 5, 2 ] ]);
+mod_assert.deepEqual(mod_skinner.quantilesByGroup(bucketizer,
+    aggregate([ 'host', 'latency' ]), [ 0.5 ]).map(function (row) {
+	return ([ row[0], row[1][0].value ]);
+    }), [ [ 'host1', 5.5 ], [ 'undefined', 23.5 ], [ '<missing>', 2.5 ] ]);
+
+/* Points with missing fields can be skipped or reported as errors. */
+mod_assert.deepEqual(aggregate([ 'host', 'latency' ],
+    { 'missingField': 'skip' }), [
+    [ 'host1', 3, 1 ],
+    [ 'undefined', 5, 1 ]
+]);
+
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'host', 'latency' ],
+    'bucketizers': { 'latency': mod_skinner.makeP2Bucketizer() },
+    'missingField': 'error'
+});
+errors = [];
+aggr.on('invalid_object', function (_, err, num) {
+	errors.push([ num, err.message ]);
+});
+datapoints.forEach(function (pt) { aggr.aggregate(pt); });
+mod_assert.deepEqual(errors, [
+    [ 3, 'data point is missing field "host"' ],
+    [ 4, 'data point is missing field "latency"' ],
+    [ 5, 'data point is missing field "host"' ]
+]);
+mod_assert.equal(aggr.stats()['nmissing'], 3);
+mod_assert.equal(aggr.stats()['nerr_invalid'], 0);
+
+/* Grouped points are counted once, however many fields they're missing. */
+aggr = mod_skinner.createAggregator({ 'decomps': [ 'host', 'port' ] });
+datapoints.forEach(function (pt) { aggr.aggregate(pt); });
+mod_assert.equal(aggr.stats()['nmissing'], 5);
+mod_assert.deepEqual(aggr.result(), [
+    [ 'host1', '<missing>', 2 ],
+    [ 'undefined', '<missing>', 1 ],
+    [ '<missing>', '<missing>', 2 ]
+]);
+
+/* The policy and the counter are saved and restored. */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'host' ],
+    'missingField': 'skip'
+});
+datapoints.forEach(function (pt) { aggr.aggregate(pt); });
+state = JSON.parse(JSON.stringify(aggr));
+restored = mod_skinner.restoreAggregator(state);
+mod_assert.deepEqual(restored.stats(), aggr.stats());
+restored.aggregate(datapoints[2]);
+mod_assert.equal(restored.stats()['nmissing'], 3);
+mod_assert.deepEqual(restored.result(), aggr.result());
+
+/* Only aggregators that handle missing fields the same way can be merged. */
+mod_assert.throws(function () {
+	restored.merge(mod_skinner.createAggregator({ 'decomps': [ 'host' ] }));
+}, /cannot merge aggregators with different handling of missing fields/);
+mod_assert.throws(function () {
+	mod_skinner.createAggregator({ 'decomps': [ 'host' ] }).merge(
+	    mod_skinner.createAggregator({
+		'decomps': [ 'host' ],
+		'missingKey': '(none)'
+	    }));
+}, /cannot merge aggregators with different handling of missing fields/);
+
+/* Each breakdown applies the policy to its own fields. */
+mod_assert.deepEqual(aggregate([], {
+    'breakdowns': { 'byhost': [ 'host' ], 'bylatency': [ 'latency' ] },
+    'missingField': 'skip'
+}), {
+    'byhost': [ [ 'host1', 2 ], [ 'undefined', 1 ] ],
+    'bylatency': [ [ 2, 1 ], [ 3, 1 ], [ 5, 1 ] ]
+});
+
+mod_assert.throws(function () {
+	mod_skinner.createAggregator({ 'missingField': 'ignore' });
+}, /missingField must be "group", "skip", or "error"/);
+
+/* Emitted points report the missing key as the field's value. */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'host', 'latency' ],
+    'bucketizers': { 'latency': mod_skinner.makeP2Bucketizer() },
+    'resultsAsPoints': true
+});
+points = [];
+aggr.on('data', function (pt) { points.push(pt); });
+aggr.on('end', function () {
+	mod_assert.deepEqual(points, [
+	    { 'fields': { 'host': '<missing>', 'latency': 2 }, 'value': 1 },
+	    { 'fields': { 'host': 'host1', 'latency': 4 }, 'value': 1 }
+	]);
+	console.log('test %s okay', mod_path.basename(process.argv[1]));
+});
+datapoints.slice(2).concat(datapoints[0]).forEach(function (pt) {
+	aggr.write(pt);
+});
+aggr.end();
@@ -0,0 +1,135 @@
+var mod_assert = require('assert');
+var mod_path = require('path');
+var mod_skinner = require('../lib/skinner');
+
+var bucketizer, func, expand, dist, i;
+var datapoints, bucketizers, stream, points;
+
+/*
+ * Linear bucketizers extend naturally below zero.
+ */
+bucketizer = mod_skinner.makeLinearBucketizer(10);
+func = bucketizer.bucketize.bind(bucketizer);
+expand = mod_skinner.ordinalToBounds.bind(null, bucketizer);
+dist = [];
+func(dist, 5, 1);
+func(dist, -5, 2);
+func(dist, -10, 3);
+func(dist, -11, 4);
+mod_assert.deepEqual(dist, [ [ -2, 4 ], [ -1, 5 ], [ 0, 1 ] ]);
+mod_assert.deepEqual(expand(dist), [
+    [ [ -20, -11 ], 4 ],
+    [ [ -10,  -1 ], 5 ],
+    [ [   0,   9 ], 1 ]
+]);
+
+/*
+ * Power-of-two bucketizers mirror the positive buckets around zero, so bucket
+ * -i holds the negated values of bucket i.
+ */
+bucketizer = mod_skinner.makeP2Bucketizer();
+func = bucketizer.bucketize.bind(bucketizer);
+expand = mod_skinner.ordinalToBounds.bind(null, bucketizer);
+dist = [];
+for (i = -16; i < 16; i++)
+	func(dist, i, 1);
+mod_assert.deepEqual(dist, [
+    [ -5, 1 ], [ -4, 8 ], [ -3, 4 ], [ -2, 2 ], [ -1, 1 ],
+    [ 0, 1 ], [ 1, 1 ], [ 2, 2 ], [ 3, 4 ], [ 4, 8 ]
+]);
+mod_assert.deepEqual(expand(dist), [
+    [ [ -31, -16 ], 1 ],
+    [ [ -15, -8 ], 8 ],
+    [ [  -7, -4 ], 4 ],
+    [ [  -3, -2 ], 2 ],
+    [ [  -1, -1 ], 1 ],
+    [ [   0,  0 ], 1 ],
+    [ [   1,  1 ], 1 ],
+    [ [   2,  3 ], 2 ],
+    [ [   4,  7 ], 4 ],
+    [ [   8, 15 ], 8 ]
+]);
+
+/* Fractional values near zero land in bucket zero. */
+mod_assert.strictEqual(bucketizer.bucketIndex(0.5), 0);
+mod_assert.strictEqual(bucketizer.bucketIndex(-0.5), 0);
+
+/* Labels follow DTrace, using the bound nearer zero for negative buckets. */
+mod_assert.equal(mod_skinner.formatDistribution(bucketizer,
+    [ [ -3, 4 ], [ -2, 2 ], [ 2, 2 ] ], { 'width': 16 }), [
+    '           value  - Distribution - count',
+    '              -8 |                 0',
+    '              -4 |@@@@@@@@         4',
+    '              -2 |@@@@             2',
+    '              -1 |                 0',
+    '               0 |                 0',
+    '               1 |                 0',
+    '               2 |@@@@             2',
+    '               4 |                 0',
+    ''
+].join('\n'));
+
+/* Negative clamps would fall inside mirrored buckets. */
+mod_assert.throws(function () {
+	mod_skinner.makeLogLinearBucketizer(10, 20, -100, 100);
+}, /"min" \(-100\) must not be negative, since negative buckets are mirrored/);
+
+/*
+ * Log-linear bucketizers do the same.
+ */
+bucketizer = mod_skinner.makeLogLinearBucketizer(10, 20);
+for (i = 1; i < 60; i++) {
+	mod_assert.equal(bucketizer.bucketMin(-i), -bucketizer.bucketMax(i));
+	mod_assert.equal(bucketizer.bucketMax(-i), -bucketizer.bucketMin(i));
+	mod_assert.equal(bucketizer.bucketIndex(-bucketizer.bucketMin(i)), -i);
+	mod_assert.equal(bucketizer.bucketIndex(-bucketizer.bucketMax(i)), -i);
+}
+mod_assert.equal(bucketizer.bucketIndex(-12), -10);
+mod_assert.equal(bucketizer.bucketIndex(-15), -11);
+mod_assert.equal(bucketizer.bucketIndex(-19), -11);
+mod_assert.equal(bucketizer.bucketIndex(-20), -12);
+
+/*
+ * Check that negative buckets work through the aggregator, including the
+ * ordering of the results and the resultsAsPoints output.
+ */
+datapoints = [
+    { 'fields': { 'host': 'host1', 'delta': 13 }, 'value': 1 },
+    { 'fields': { 'host': 'host1', 'delta': -3 }, 'value': 1 },
+    { 'fields': { 'host': 'host2', 'delta': -27 }, 'value': 1 },
+    { 'fields': { 'host': 'host1', 'delta': -15 }, 'value': 1 },
+    { 'fields': { 'host': 'host2', 'delta': '-8' }, 'value': 1 },
+    { 'fields': { 'host': 'host2', 'delta': 2 }, 'value': 1 }
+];
+bucketizers = { 'delta': mod_skinner.makeLinearBucketizer(10) };
+mod_assert.deepEqual(
+    mod_skinner.aggregate(datapoints, [ 'delta' ], bucketizers),
+    [ [ -3, 1 ], [ -2, 1 ], [ -1, 2 ], [ 0, 1 ], [ 1, 1 ] ]);
+mod_assert.deepEqual(
+    mod_skinner.aggregate(datapoints, [ 'host', 'delta' ], bucketizers),
+    [ [ 'host1', -2, 1 ],
+      [ 'host1', -1, 1 ],
+      [ 'host1', 1, 1 ],
+      [ 'host2', -3, 1 ],
+      [ 'host2', -1, 1 ],
+      [ 'host2', 0, 1 ] ]);
+
+points = [];
+stream = mod_skinner.createAggregator({
+    'decomps': [ 'delta' ],
+    'bucketizers': bucketizers,
+    'resultsAsPoints': true
+});
+datapoints.forEach(function (d) { stream.write(d); });
+stream.end();
+stream.on('data', function (pt) { points.push(pt); });
+stream.on('end', function () {
+	mod_assert.deepEqual(points, [
+	    { 'fields': { 'delta': -30 }, 'value': 1 },
+	    { 'fields': { 'delta': -20 }, 'value': 1 },
+	    { 'fields': { 'delta': -10 }, 'value': 2 },
+	    { 'fields': { 'delta': 0 }, 'value': 1 },
+	    { 'fields': { 'delta': 10 }, 'value': 1 }
+	]);
+	console.log('test %s okay', mod_path.basename(process.argv[1]));
+});
@@ -0,0 +1,133 @@
+var mod_assert = require('assert');
+var mod_path = require('path');
+var mod_skinner = require('../lib/skinner');
+
+var datapoints, aggr, state, restored;
+
+datapoints = [
+    { 'fields': { 'method': 'GET', 'host': 'web1.example.com' }, 'value': 1 },
+    { 'fields': { 'method': 'get ', 'host': 'web1' }, 'value': 2 },
+    { 'fields': { 'method': 'Get', 'host': 'WEB2.example.com' }, 'value': 4 },
+    { 'fields': { 'method': 'fetch', 'host': 'web2' }, 'value': 8 },
+    { 'fields': { 'method': 'PUT', 'host': 3 }, 'value': 16 }
+];
+
+function check(decomps, normalize, expected)
+{
+	mod_assert.deepEqual(mod_skinner.aggregate(datapoints, decomps, {},
+	    { 'normalize': normalize }), expected);
+}
+
+/* Built-in normalizers can be applied alone or in sequence. */
+check([ 'method' ], { 'method': 'lowercase' }, [
+    [ 'get', 5 ], [ 'get ', 2 ], [ 'fetch', 8 ], [ 'put', 16 ]
+]);
+check([ 'method' ], { 'method': [ 'trim', 'uppercase' ] }, [
+    [ 'GET', 7 ], [ 'FETCH', 8 ], [ 'PUT', 16 ]
+]);
+
+/* Regular expressions extract the first capture group or the whole match. */
+check([ 'host' ], { 'host': { 'regex': '^([^.]+)\\.', 'flags': 'i' } }, [
+    [ 'web1', 3 ], [ 'WEB2', 4 ], [ 'web2', 8 ], [ 3, 16 ]
+]);
+check([ 'host' ], { 'host': [ 'lowercase', { 'regex': '^[a-z]+\\d' } ] }, [
+    [ 'web1', 3 ], [ 'web2', 12 ], [ 3, 16 ]
+]);
+
+/* Aliases map variants to canonical values, leaving others alone. */
+check([ 'method' ], {
+    'method': [ 'trim', 'uppercase', { 'alias': { 'FETCH': 'GET' } } ]
+}, [
+    [ 'GET', 15 ], [ 'PUT', 16 ]
+]);
+
+/* Custom normalizers returning undefined make the field missing. */
+check([ 'method', 'host' ], {
+    'method': function (value) {
+	return (value == 'PUT' ? undefined : value.trim().toUpperCase());
+    }
+}, [
+    [ 'GET', 'web1.example.com', 1 ],
+    [ 'GET', 'web1', 2 ],
+    [ 'GET', 'WEB2.example.com', 4 ],
+    [ 'FETCH', 'web2', 8 ],
+    [ '<missing>', 3, 16 ]
+]);
+
+/* Normalizers are saved and restored, except for custom functions. */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'method' ],
+    'normalize': { 'method': [ 'trim', 'lowercase' ] }
+});
+datapoints.forEach(function (pt) { aggr.aggregate(pt); });
+state = JSON.parse(JSON.stringify(aggr));
+mod_assert.deepEqual(state.normalize, { 'method': [ 'trim', 'lowercase' ] });
+restored = mod_skinner.restoreAggregator(state);
+restored.aggregate({ 'fields': { 'method': ' Put' }, 'value': 32 });
+mod_assert.deepEqual(restored.result(),
+    [ [ 'get', 7 ], [ 'fetch', 8 ], [ 'put', 48 ] ]);
+
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'method' ],
+    'normalize': {
+	'method': [ 'trim', function (value) { return (value.toLowerCase()); } ]
+    }
+});
+state = JSON.parse(JSON.stringify(aggr));
+mod_assert.deepEqual(state.normalize, { 'method': [ 'trim', null ] });
+mod_assert.throws(function () { mod_skinner.restoreAggregator(state); },
+    /custom normalizer for field "method", but no normalizer was specified/);
+
+/* Only aggregators that normalize fields the same way can be merged. */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'method' ],
+    'normalize': { 'method': 'lowercase' }
+});
+aggr.merge(mod_skinner.createAggregator({
+    'decomps': [ 'method' ],
+    'normalize': { 'method': 'lowercase' }
+}));
+mod_assert.throws(function () {
+	aggr.merge(mod_skinner.createAggregator({
+	    'decomps': [ 'method' ],
+	    'normalize': { 'method': 'uppercase' }
+	}));
+}, /cannot merge aggregators with different normalizers/);
+mod_assert.throws(function () {
+	aggr.merge(mod_skinner.createAggregator({ 'decomps': [ 'method' ] }));
+}, /cannot merge aggregators with different normalizers/);
+
+/* Each breakdown normalizes the fields it uses. */
+mod_assert.deepEqual(mod_skinner.aggregate(datapoints, [], {}, {
+    'breakdowns': { 'bymethod': [ 'method' ], 'byhost': [ 'host' ] },
+    'normalize': { 'method': [ 'trim', 'lowercase' ] }
+}).bymethod, [ [ 'get', 7 ], [ 'fetch', 8 ], [ 'put', 16 ] ]);
+
+/* Bad normalizers produce descriptive errors. */
+[
+    [ { 'normalize': 'lowercase' }, /normalize must be an object/ ],
+    [ { 'decomps': [ 'method' ], 'normalize': { 'method': 'titlecase' } },
+	/normalizer for field "method": unknown normalizer "titlecase"/ ],
+    [ { 'decomps': [ 'method' ],
+	'normalize': { 'method': { 'regex': '(' } } },
+	/normalizer for field "method": invalid regex/ ],
+    [ { 'decomps': [ 'method' ], 'normalize': { 'method': [ 'trim', 5 ] } },
+	/normalizer for field "method" must be a function/ ],
+    [ { 'decomps': [ 'method' ], 'normalize': { 'mehtod': 'lowercase' } },
+	/normalizer specified for field "mehtod" not in decomps/ ],
+    [ { 'breakdowns': { 'bymethod': [ 'method' ] },
+	'normalize': { 'mehtod': 'lowercase' } },
+	/normalizer specified for field "mehtod" not in any breakdown/ ],
+    [ { 'decomps': [ 'latency' ],
+	'bucketizers': { 'latency': mod_skinner.makeP2Bucketizer() },
+	'normalize': { 'latency': 'trim' } },
+	/cannot normalize bucketized field "latency"/ ]
+].forEach(function (testcase) {
+	mod_assert.throws(function () {
+		mod_skinner.createAggregator(testcase[0]);
+	}, function (err) {
+		return (err.name == 'VError' && testcase[1].test(err.message));
+	});
+});
+
+console.log('test %s okay', mod_path.basename(process.argv[1]));
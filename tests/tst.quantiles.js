@@ -0,0 +1,121 @@
+var mod_assert = require('assert');
+var mod_path = require('path');
+var mod_skinner = require('../lib/skinner');
+
+var bucketizer, dist, datapoints, result, i;
+
+/*
+ * 100 values spread uniformly across ten linear buckets of size 10.
+ */
+bucketizer = mod_skinner.makeLinearBucketizer(10);
+dist = [];
+for (i = 0; i < 100; i++)
+	bucketizer.bucketize(dist, i, 1);
+
+mod_assert.deepEqual(mod_skinner.quantiles(bucketizer, dist,
+    [ 0, 0.5, 0.95, 1 ]), [
+    { 'quantile': 0, 'value': 0, 'bounds': [ 0, 9 ], 'error': 9 },
+    { 'quantile': 0.5, 'value': 49, 'bounds': [ 40, 49 ], 'error': 9 },
+    { 'quantile': 0.95, 'value': 94.5, 'bounds': [ 90, 99 ], 'error': 9 },
+    { 'quantile': 1, 'value': 99, 'bounds': [ 90, 99 ], 'error': 9 }
+]);
+
+/*
+ * A skewed log-linear distribution: 90 fast requests and 10 slow ones.
+ */
+bucketizer = mod_skinner.makeLogLinearBucketizer(10, 20);
+dist = [];
+bucketizer.bucketize(dist, 3, 90);
+bucketizer.bucketize(dist, 1200, 8);
+bucketizer.bucketize(dist, 4700, 2);
+result = mod_skinner.quantiles(bucketizer, dist, [ 0.5, 0.9, 0.95, 0.99 ]);
+mod_assert.deepEqual(result.map(function (q) { return (q.bounds); }), [
+    [ 3, 3 ],
+    [ 3, 3 ],
+    [ 1000, 1499 ],
+    [ 4500, 4999 ]
+]);
+mod_assert.equal(result[0].value, 3);
+mod_assert.equal(result[0].error, 0);
+mod_assert.equal(result[2].value, 1000 + 499 * 5 / 8);
+mod_assert.equal(result[3].value, 4500 + 499 * 1 / 2);
+mod_assert.equal(result[3].error, 499);
+
+/* Empty distributions have no quantiles. */
+mod_assert.deepEqual(mod_skinner.quantiles(bucketizer, [], [ 0.5 ]), [
+    { 'quantile': 0.5, 'value': null, 'bounds': null, 'error': null }
+]);
+
+/* Quantiles in the overflow bucket of a clamped bucketizer. */
+bucketizer = mod_skinner.makeLinearBucketizer(10, 0, 100);
+dist = [];
+bucketizer.bucketize(dist, 5, 1);
+bucketizer.bucketize(dist, 5000, 1);
+mod_assert.deepEqual(mod_skinner.quantiles(bucketizer, dist, [ 0.99 ]), [ {
+    'quantile': 0.99,
+    'value': 100,
+    'bounds': [ 100, Infinity ],
+    'error': Infinity
+} ]);
+
+/* Quantiles in the underflow bucket are the bucketizer's "min". */
+bucketizer = mod_skinner.makeLinearBucketizer(0.5, 0, 5);
+dist = [];
+bucketizer.bucketize(dist, -0.1, 3);
+bucketizer.bucketize(dist, 1.2, 1);
+mod_assert.deepEqual(mod_skinner.quantiles(bucketizer, dist, [ 0.5 ]), [ {
+    'quantile': 0.5,
+    'value': 0,
+    'bounds': [ -Infinity, 0 ],
+    'error': Infinity
+} ]);
+
+mod_assert.throws(function () {
+	mod_skinner.quantiles(bucketizer, dist, [ 99 ]);
+}, /quantiles must be between 0 and 1/);
+
+/*
+ * Per-group quantiles from a multi-dimensional result.
+ */
+bucketizer = mod_skinner.makeLinearBucketizer(10);
+datapoints = [];
+for (i = 0; i < 100; i++) {
+	datapoints.push({
+	    'fields': { 'dc': 'east', 'host': 'a', 'lat': i },
+	    'value': 1
+	});
+	datapoints.push({
+	    'fields': { 'dc': 'east', 'host': 'b', 'lat': 2 * i },
+	    'value': 1
+	});
+	datapoints.push({
+	    'fields': { 'dc': 'west', 'host': 'a', 'lat': 7 },
+	    'value': 1
+	});
+}
+
+result = mod_skinner.quantilesByGroup(bucketizer,
+    mod_skinner.aggregate(datapoints, [ 'dc', 'host', 'lat' ],
+    { 'lat': bucketizer }), [ 0.5 ]);
+mod_assert.deepEqual(result.map(function (row) {
+	return ([ row[0], row[1], row[2][0].value ]);
+}), [
+    [ 'east', 'a', 49 ],
+    [ 'east', 'b', 99 ],
+    [ 'west', 'a', 4.5 ]
+]);
+
+result = mod_skinner.quantilesByGroup(bucketizer,
+    mod_skinner.aggregate(datapoints, [ 'host', 'lat' ],
+    { 'lat': bucketizer }), [ 0, 1 ]);
+mod_assert.deepEqual(result.map(function (row) {
+	return ([ row[0], row[1][0].bounds, row[1][1].bounds ]);
+}), [
+    [ 'a', [ 0, 9 ], [ 90, 99 ] ],
+    [ 'b', [ 0, 9 ], [ 190, 199 ] ]
+]);
+
+mod_assert.deepEqual(mod_skinner.quantilesByGroup(bucketizer, [], [ 0.5 ]),
+    []);
+
+console.log('test %s okay', mod_path.basename(process.argv[1]));
@@ -0,0 +1,88 @@
+var mod_assert = require('assert');
+var mod_path = require('path');
+var mod_skinner = require('../lib/skinner');
+
+var datapoints, bucketizers, stream, points, concat;
+
+/* BEGIN JSSTYLED */
+datapoints = [
+    { 'fields': { 'host': 'host1', 'method': 'GET', 'size': 12 }, 'value': 150 },
+    { 'fields': { 'host': 'host1', 'method': 'PUT', 'size': 37 }, 'value': 310 },
+    { 'fields': { 'host': 'host2', 'method': 'GET', 'size': 8 },  'value': 20 },
+    { 'fields': { 'host': 'host1', 'method': 'GET', 'size': 15 }, 'value': 90 },
+    { 'fields': { 'host': 'host2', 'method': 'GET', 'size': 4 },  'value': 40 },
+    { 'fields': { 'host': 'host2', 'method': 'PUT', 'size': 31 }, 'value': 60 }
+];
+/* END JSSTYLED */
+
+/* The default reducer is "sum". */
+mod_assert.deepEqual(mod_skinner.aggregate(datapoints, [ 'host' ]),
+    [ [ 'host1', 550 ], [ 'host2', 120 ] ]);
+mod_assert.deepEqual(mod_skinner.aggregate(datapoints, [ 'host' ], {},
+    { 'reducer': 'sum' }), [ [ 'host1', 550 ], [ 'host2', 120 ] ]);
+
+mod_assert.deepEqual(mod_skinner.aggregate(datapoints, [ 'host' ], {},
+    { 'reducer': 'count' }), [ [ 'host1', 3 ], [ 'host2', 3 ] ]);
+mod_assert.deepEqual(mod_skinner.aggregate(datapoints, [ 'host' ], {},
+    { 'reducer': 'min' }), [ [ 'host1', 90 ], [ 'host2', 20 ] ]);
+mod_assert.deepEqual(mod_skinner.aggregate(datapoints, [ 'host' ], {},
+    { 'reducer': 'max' }), [ [ 'host1', 310 ], [ 'host2', 60 ] ]);
+mod_assert.deepEqual(mod_skinner.aggregate(datapoints, [ 'host', 'method' ],
+    {}, { 'reducer': 'mean' }), [
+    [ 'host1', 'GET', 120 ],
+    [ 'host1', 'PUT', 310 ],
+    [ 'host2', 'GET', 30 ],
+    [ 'host2', 'PUT', 60 ] ]);
+mod_assert.deepEqual(mod_skinner.aggregate(datapoints, [ 'method' ], {},
+    { 'reducer': 'variance' }), [ [ 'GET', 2525 ], [ 'PUT', 15625 ] ]);
+mod_assert.deepEqual(mod_skinner.aggregate(datapoints, [ 'method' ], {},
+    { 'reducer': 'stddev' }), [ [ 'GET', Math.sqrt(2525) ], [ 'PUT', 125 ] ]);
+
+/* Reducers work without any breakdowns, too. */
+mod_assert.deepEqual(mod_skinner.aggregate(datapoints, [], {},
+    { 'reducer': 'max' }), [ 310 ]);
+mod_assert.deepEqual(mod_skinner.aggregate([], [], {},
+    { 'reducer': 'mean' }), [ null ]);
+
+/* Reducers work with bucketized fields. */
+bucketizers = { 'size': mod_skinner.makeLinearBucketizer(10) };
+mod_assert.deepEqual(mod_skinner.aggregate(datapoints, [ 'size' ],
+    bucketizers, { 'reducer': 'max' }), [ [ 0, 40 ], [ 1, 150 ], [ 3, 310 ] ]);
+
+/*
+ * Custom reducer: concatenate values into a list.
+ */
+concat = {
+    'init': function () { return ([]); },
+    'accumulate': function (state, value) { return (state.concat(value)); },
+    'merge': function (state1, state2) { return (state1.concat(state2)); },
+    'finalize': function (state) { return (state.join(',')); }
+};
+mod_assert.deepEqual(mod_skinner.aggregate(datapoints, [ 'method' ], {},
+    { 'reducer': concat }), [ [ 'GET', '150,20,90,40' ], [ 'PUT', '310,60' ] ]);
+
+/* Bad reducers are rejected. */
+mod_assert.throws(function () {
+	mod_skinner.createAggregator({ 'reducer': 'median' });
+}, /unknown reducer: "median"/);
+mod_assert.throws(function () {
+	mod_skinner.createAggregator({ 'reducer': { 'init': concat.init } });
+}, /reducer must implement "accumulate"/);
+
+/* Check that resultsAsPoints emits finalized values. */
+points = [];
+stream = mod_skinner.createAggregator({
+    'decomps': [ 'host' ],
+    'reducer': 'mean',
+    'resultsAsPoints': true
+});
+datapoints.forEach(function (d) { stream.write(d); });
+stream.end();
+stream.on('data', function (pt) { points.push(pt); });
+stream.on('end', function () {
+	mod_assert.deepEqual(points, [
+	    { 'fields': { 'host': 'host1' }, 'value': 550 / 3 },
+	    { 'fields': { 'host': 'host2' }, 'value': 40 }
+	]);
+	console.log('test %s okay', mod_path.basename(process.argv[1]));
+});
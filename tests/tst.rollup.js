@@ -0,0 +1,123 @@
+var mod_assert = require('assert');
+var mod_path = require('path');
+var mod_skinner = require('../lib/skinner');
+
+var datapoints, result, aggr, state, restored;
+
+datapoints = [
+    { 'fields': { 'city': 'Springfield', 'state': 'MA' }, 'value': 153000 },
+    { 'fields': { 'city': 'Boston',      'state': 'MA' }, 'value': 636000 },
+    { 'fields': { 'city': 'Worcestor',   'state': 'MA' }, 'value': 183000 },
+    { 'fields': { 'city': 'Fresno',      'state': 'CA' }, 'value': 505000 },
+    { 'fields': { 'city': 'Springfield', 'state': 'OR' }, 'value':  60000 },
+    { 'fields': { 'city': 'Portland',    'state': 'OR' }, 'value': 600000 }
+];
+
+/* Rollup adds subtotals for each prefix of the decomps. */
+result = mod_skinner.aggregate(datapoints, [ 'state', 'city' ], {},
+    { 'rollup': true });
+mod_assert.deepEqual(result, [
+    [ 'MA', 'Springfield', 153000 ],
+    [ 'MA', 'Boston',      636000 ],
+    [ 'MA', 'Worcestor',   183000 ],
+    [ 'CA', 'Fresno',      505000 ],
+    [ 'OR', 'Springfield',  60000 ],
+    [ 'OR', 'Portland',    600000 ],
+    [ 'MA', '*',           972000 ],
+    [ 'CA', '*',           505000 ],
+    [ 'OR', '*',           660000 ],
+    [ '*',  '*',          2137000 ]
+]);
+
+/* Cube adds subtotals for every subset of the decomps. */
+result = mod_skinner.aggregate(datapoints, [ 'state', 'city' ], {},
+    { 'cube': true, 'wildcard': 'ALL' });
+mod_assert.deepEqual(result, [
+    [ 'MA',  'Springfield', 153000 ],
+    [ 'MA',  'Boston',      636000 ],
+    [ 'MA',  'Worcestor',   183000 ],
+    [ 'CA',  'Fresno',      505000 ],
+    [ 'OR',  'Springfield',  60000 ],
+    [ 'OR',  'Portland',    600000 ],
+    [ 'MA',  'ALL',         972000 ],
+    [ 'CA',  'ALL',         505000 ],
+    [ 'OR',  'ALL',         660000 ],
+    [ 'ALL', 'Springfield', 213000 ],
+    [ 'ALL', 'Boston',      636000 ],
+    [ 'ALL', 'Worcestor',   183000 ],
+    [ 'ALL', 'Fresno',      505000 ],
+    [ 'ALL', 'Portland',    600000 ],
+    [ 'ALL', 'ALL',        2137000 ]
+]);
+
+/* Rolled-up bucketized fields, other reducers, and limits. */
+datapoints = [
+    { 'fields': { 'host': 'host1', 'latency': 5 }, 'value': 5 },
+    { 'fields': { 'host': 'host1', 'latency': 20 }, 'value': 20 },
+    { 'fields': { 'host': 'host2', 'latency': 3 }, 'value': 3 },
+    { 'fields': { 'host': 'host3', 'latency': 6 }, 'value': 6 }
+];
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'host', 'latency' ],
+    'bucketizers': { 'latency': mod_skinner.makeP2Bucketizer() },
+    'reducer': 'max',
+    'limits': { 'host': 2 },
+    'cube': true
+});
+datapoints.forEach(function (pt) { aggr.aggregate(pt); });
+mod_assert.deepEqual(aggr.result(), [
+    [ 'host1', 3, 5 ],
+    [ 'host1', 5, 20 ],
+    [ 'host3', 3, 6 ],
+    [ '<other>', 2, 3 ],
+    [ 'host1', '*', 20 ],
+    [ 'host3', '*', 6 ],
+    [ '<other>', '*', 3 ],
+    [ '*', 2, 3 ],
+    [ '*', 3, 6 ],
+    [ '*', 5, 20 ],
+    [ '*', '*', 20 ]
+]);
+mod_assert.throws(function () { aggr.result({ 'dense': true }); },
+    function (err) {
+	return (err.name == 'VError' &&
+	    /dense results are not supported with "rollup" or "cube"/.test(
+	    err.message));
+    });
+
+/* Like SQL, there's always a grand total, even with no data points. */
+mod_assert.deepEqual(mod_skinner.aggregate([], [ 'h' ], {},
+    { 'rollup': true }), [ [ '*', 0 ] ]);
+mod_assert.deepEqual(mod_skinner.aggregate([], [ 'h', 'l' ], {},
+    { 'cube': true, 'wildcard': '<all>' }), [ [ '<all>', '<all>', 0 ] ]);
+
+/* The grouping is saved and restored. */
+state = JSON.parse(JSON.stringify(aggr));
+mod_assert.equal(state.grouping, 'cube');
+restored = mod_skinner.restoreAggregator(state);
+mod_assert.deepEqual(restored.result(), aggr.result());
+
+mod_assert.throws(function () {
+	mod_skinner.createAggregator({ 'decomps': [ 'host' ],
+	    'rollup': true, 'cube': true });
+}, /cannot specify both "rollup" and "cube"/);
+
+/*
+ * Subtotals can't be emitted as points, since aggregating those points would
+ * count each one twice or more.
+ */
+[ 'rollup', 'cube' ].forEach(function (grouping) {
+	var args = { 'decomps': [ 'host' ], 'resultsAsPoints': true };
+	args[grouping] = true;
+	mod_assert.throws(function () {
+		mod_skinner.createAggregator(args);
+	}, /"rollup" and "cube" cannot be combined with "resultsAsPoints"/);
+	args = { 'breakdowns': { 'byhost': [ 'host' ] },
+	    'resultsAsPoints': true };
+	args[grouping] = true;
+	mod_assert.throws(function () {
+		mod_skinner.createAggregator(args);
+	}, /"rollup" and "cube" cannot be combined with "resultsAsPoints"/);
+});
+
+console.log('test %s okay', mod_path.basename(process.argv[1]));
@@ -0,0 +1,151 @@
+var mod_assert = require('assert');
+var mod_path = require('path');
+var mod_skinner = require('../lib/skinner');
+
+var datapoints, aggr, snapshot, errors, results;
+
+datapoints = [
+    { 'fields': { 'host': 'host1', 'latency': 5 }, 'value': 1 },
+    { 'fields': { 'host': 'host2', 'latency': 20 }, 'value': 2 },
+    { 'fields': { 'host': 'host1' }, 'value': 4 },
+    { 'fields': 'host1', 'value': 8 },
+    { 'fields': { 'host': 'host1', 'latency': 3 }, 'value': 16 }
+];
+
+function emptyStats()
+{
+	return ({
+	    'ninputs': 0,
+	    'nparsed': 0,
+	    'nerr_nonnumeric': 0,
+	    'nerr_invalid': 0,
+	    'nerr_object': 0,
+	    'nerr_fields': 0,
+	    'nerr_value': 0,
+	    'nmissing': 0
+	});
+}
+
+/* Without "reset", a snapshot is just the result and stats. */
+aggr = mod_skinner.createAggregator({ 'decomps': [ 'host' ] });
+datapoints.slice(0, 4).forEach(function (pt) { aggr.aggregate(pt); });
+snapshot = aggr.snapshot();
+mod_assert.deepEqual(snapshot,
+    { 'result': aggr.result(), 'stats': aggr.stats() });
+mod_assert.deepEqual(snapshot.result, [ [ 'host1', 5 ], [ 'host2', 2 ] ]);
+
+/* With "reset", the values and counters start over. */
+snapshot = aggr.snapshot({ 'reset': true });
+mod_assert.deepEqual(snapshot.result, [ [ 'host1', 5 ], [ 'host2', 2 ] ]);
+mod_assert.equal(snapshot.stats.ninputs, 4);
+mod_assert.equal(snapshot.stats.nerr_fields, 1);
+mod_assert.deepEqual(aggr.result(), []);
+mod_assert.deepEqual(aggr.stats(), emptyStats());
+aggr.aggregate(datapoints[4]);
+mod_assert.deepEqual(aggr.snapshot({ 'reset': true }).result,
+    [ [ 'host1', 16 ] ]);
+
+/* Result options are passed through. */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'latency' ],
+    'bucketizers': { 'latency': mod_skinner.makeLinearBucketizer(10) },
+    'missingField': 'skip'
+});
+datapoints.forEach(function (pt) { aggr.aggregate(pt); });
+snapshot = aggr.snapshot({ 'reset': true, 'dense': true });
+mod_assert.deepEqual(snapshot.result, [ [ 0, 17 ], [ 1, 0 ], [ 2, 2 ] ]);
+mod_assert.equal(snapshot.stats.nmissing, 1);
+mod_assert.deepEqual(aggr.stats(), emptyStats());
+
+/* Breakdowns and bounded aggregators are reset, too. */
+aggr = mod_skinner.createAggregator({
+    'breakdowns': { 'all': [], 'byhost': [ 'host' ] }
+});
+datapoints.forEach(function (pt) { aggr.aggregate(pt); });
+snapshot = aggr.snapshot({ 'reset': true });
+mod_assert.deepEqual(snapshot.result,
+    { 'all': [ 23 ], 'byhost': [ [ 'host1', 21 ], [ 'host2', 2 ] ] });
+mod_assert.deepEqual(aggr.result(), { 'all': [ 0 ], 'byhost': [] });
+mod_assert.deepEqual(aggr.stats(), emptyStats());
+
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'host' ],
+    'maxGroups': 1
+});
+datapoints.forEach(function (pt) { aggr.aggregate(pt); });
+snapshot = aggr.snapshot({ 'reset': true });
+mod_assert.equal(snapshot.stats.nevicted, 2);
+mod_assert.equal(snapshot.stats.approximate, true);
+aggr.aggregate(datapoints[1]);
+mod_assert.deepEqual(aggr.snapshot(), {
+    'result': [ [ 'host2', 2 ] ],
+    'stats': {
+	'ninputs': 1,
+	'nparsed': 0,
+	'nerr_nonnumeric': 0,
+	'nerr_invalid': 0,
+	'nerr_object': 0,
+	'nerr_fields': 0,
+	'nerr_value': 0,
+	'nmissing': 0,
+	'ngroups': 1,
+	'nevicted': 0,
+	'approximate': false,
+	'error_bound': 0
+    }
+});
+
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'host' ],
+    'window': { 'field': 'time', 'width': 10 }
+});
+mod_assert.deepEqual(aggr.snapshot().result, []);
+mod_assert.throws(function () { aggr.snapshot({ 'reset': true }); },
+    /cannot reset windowed aggregators/);
+
+/* Positions also keep counting across a save and restore after a reset. */
+[
+    { 'decomps': [ 'host' ] },
+    { 'breakdowns': { 'byhost': [ 'host' ] } }
+].forEach(function (args) {
+	aggr = mod_skinner.createAggregator(args);
+	datapoints.slice(0, 4).forEach(function (pt) { aggr.aggregate(pt); });
+	aggr.snapshot({ 'reset': true });
+	aggr.aggregate(datapoints[4]);
+	aggr = mod_skinner.restoreAggregator(JSON.parse(JSON.stringify(aggr)));
+	errors = [];
+	aggr.on('invalid_object', function (_, err, num) { errors.push(num); });
+	aggr.aggregate(datapoints[3]);
+	mod_assert.deepEqual(errors, [ 6 ]);
+	mod_assert.equal(aggr.stats().ninputs, 2);
+});
+
+/*
+ * The stream and its listeners carry on after a reset, and positions of invalid
+ * points still count from the start of the input.
+ */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'host', 'latency' ],
+    'bucketizers': { 'latency': mod_skinner.makeLinearBucketizer(10) }
+});
+errors = [];
+results = [];
+aggr.on('invalid_object', function (_, err, num) {
+	errors.push([ num, err.message ]);
+});
+aggr.on('data', function (result) { results.push(result); });
+aggr.on('end', function () {
+	mod_assert.deepEqual(errors, [
+	    [ 2, 'data point "fields" is not an object' ],
+	    [ 4, 'data point "fields" is not an object' ]
+	]);
+	mod_assert.deepEqual(results, [ [ [ 'host1', 0, 16 ] ] ]);
+	console.log('test %s okay', mod_path.basename(process.argv[1]));
+});
+aggr.write(datapoints[0]);
+aggr.write(datapoints[3]);
+mod_assert.deepEqual(aggr.snapshot({ 'reset': true }).result,
+    [ [ 'host1', 0, 1 ] ]);
+aggr.write(datapoints[4]);
+aggr.write(datapoints[3]);
+aggr.end();
@@ -0,0 +1,136 @@
+var mod_assert = require('assert');
+var mod_path = require('path');
+var mod_util = require('util');
+var mod_skinner = require('../lib/skinner');
+
+var specs, bucketizer, datapoints, aggr, state;
+
+/*
+ * Check that each built-in bucketizer round-trips through its spec.
+ */
+specs = [
+    { 'type': 'linear', 'step': 10 },
+    { 'type': 'linear', 'step': 0.5 },
+    { 'type': 'loglinear', 'base': 10, 'nbuckets': 20 },
+    { 'type': 'loglinear', 'base': 2, 'nbuckets': 8 },
+    { 'type': 'p2' }
+];
+specs.forEach(function (spec) {
+	var i;
+
+	bucketizer = mod_skinner.bucketizerFromSpec(spec);
+	mod_assert.ok(bucketizer instanceof mod_skinner.Bucketizer);
+	mod_assert.deepEqual(bucketizer.toSpec(), spec);
+	mod_assert.deepEqual(
+	    mod_skinner.bucketizerFromSpec(bucketizer.toSpec()).toSpec(), spec);
+
+	for (i = -20; i < 20; i++) {
+		mod_assert.equal(bucketizer.bucketMin(i),
+		    mod_skinner.bucketizerFromSpec(spec).bucketMin(i));
+	}
+});
+
+mod_assert.deepEqual(mod_skinner.makeLinearBucketizer(7).toSpec(),
+    { 'type': 'linear', 'step': 7 });
+mod_assert.deepEqual(mod_skinner.makeLogLinearBucketizer(10, 50).toSpec(),
+    { 'type': 'loglinear', 'base': 10, 'nbuckets': 50 });
+mod_assert.deepEqual(mod_skinner.makeP2Bucketizer().toSpec(),
+    { 'type': 'p2' });
+
+/*
+ * Check that invalid specs are rejected.
+ */
+[
+    [ null, /bucketizer spec must be an object/ ],
+    [ {}, /bucketizer spec must have a "type"/ ],
+    [ { 'type': 'bogus' }, /unknown bucketizer type: "bogus"/ ],
+    [ { 'type': 'linear' }, /"step" must be a positive number/ ],
+    [ { 'type': 'linear', 'step': -3 }, /"step" must be a positive number/ ],
+    [ { 'type': 'linear', 'step': '3' }, /"step" must be a positive number/ ],
+    [ { 'type': 'loglinear', 'base': 10 },
+      /"nbuckets" must be a positive number/ ],
+    [ { 'type': 'loglinear', 'base': 10, 'nbuckets': 25 },
+      /"base" must be at least 2 and evenly divide "nbuckets"/ ],
+    [ { 'type': 'loglinear', 'base': 10, 'nbuckets': 30 },
+      /"nbuckets" must evenly divide a power of "base"/ ]
+].forEach(function (testcase) {
+	mod_assert.throws(function () {
+		mod_skinner.bucketizerFromSpec(testcase[0]);
+	}, testcase[1]);
+});
+
+/*
+ * Aggregators accept specs in place of bucketizers.
+ */
+datapoints = [
+    { 'fields': { 'host': 'host1', 'util': 83 }, 'value': 1 },
+    { 'fields': { 'host': 'host1', 'util': 13 }, 'value': 1 },
+    { 'fields': { 'host': 'host2', 'util': 37 }, 'value': 1 }
+];
+mod_assert.deepEqual(mod_skinner.aggregate(datapoints, [ 'util' ],
+    { 'util': { 'type': 'linear', 'step': 10 } }),
+    [ [ 1, 1 ], [ 3, 1 ], [ 8, 1 ] ]);
+
+/*
+ * Register a custom bucketizer type: buckets of size "step" starting at
+ * "offset".
+ */
+function OffsetBucketizer(step, offset)
+{
+	this.ob_step = step;
+	this.ob_offset = offset;
+	mod_skinner.Bucketizer.call(this);
+}
+
+mod_util.inherits(OffsetBucketizer, mod_skinner.Bucketizer);
+
+OffsetBucketizer.prototype._signed = true;
+
+OffsetBucketizer.prototype._bucketIndexToMin = function (bidx)
+{
+	return (this.ob_offset + bidx * this.ob_step);
+};
+
+OffsetBucketizer.prototype._valueToBucketIndex = function (value)
+{
+	return (Math.floor((value - this.ob_offset) / this.ob_step));
+};
+
+OffsetBucketizer.prototype.toSpec = function ()
+{
+	return ({
+	    'type': 'offset',
+	    'step': this.ob_step,
+	    'offset': this.ob_offset
+	});
+};
+
+mod_skinner.registerBucketizer('offset', function (spec) {
+	return (new OffsetBucketizer(spec.step, spec.offset));
+});
+mod_assert.throws(function () {
+	mod_skinner.registerBucketizer('offset', function () {});
+}, /bucketizer type "offset" is already registered/);
+mod_assert.throws(function () {
+	mod_skinner.registerBucketizer('linear', function () {});
+}, /bucketizer type "linear" is already registered/);
+
+bucketizer = mod_skinner.bucketizerFromSpec(
+    { 'type': 'offset', 'step': 10, 'offset': 5 });
+mod_assert.deepEqual(mod_skinner.ordinalToBounds(bucketizer,
+    mod_skinner.aggregate(datapoints, [ 'util' ], { 'util': bucketizer })),
+    [ [ [ 5, 14 ], 1 ], [ [ 35, 44 ], 1 ], [ [ 75, 84 ], 1 ] ]);
+
+/* Registered bucketizers can be saved and restored with an aggregator. */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'host', 'util' ],
+    'bucketizers': { 'util': bucketizer }
+});
+datapoints.forEach(function (p) { aggr.aggregate(p); });
+state = JSON.parse(JSON.stringify(aggr));
+mod_assert.deepEqual(state.bucketizers,
+    { 'util': { 'type': 'offset', 'step': 10, 'offset': 5 } });
+mod_assert.deepEqual(mod_skinner.restoreAggregator(state).result(),
+    aggr.result());
+
+console.log('test %s okay', mod_path.basename(process.argv[1]));
@@ -0,0 +1,131 @@
+var mod_assert = require('assert');
+var mod_path = require('path');
+var mod_skinner = require('../lib/skinner');
+
+var datapoints, values, aggr, aggr2, points, state, restored, errors;
+
+datapoints = [
+    { 'fields': { 'host': 'host1', 'size': 5 },
+	'values': { 'count': 1, 'bytes': 5123 } },
+    { 'fields': { 'host': 'host1', 'size': 20 },
+	'values': { 'count': 1, 'bytes': 200 } },
+    { 'fields': { 'host': 'host2', 'size': 6 },
+	'values': { 'count': 3, 'bytes': 100 } },
+    { 'fields': { 'host': 'host1', 'size': 7 },
+	'values': { 'count': 2, 'bytes': 30 } }
+];
+values = [ 'count', 'bytes' ];
+
+/* Each row ends with one column per value. */
+mod_assert.deepEqual(mod_skinner.aggregate(datapoints, [], {},
+    { 'values': values }), [ 7, 5453 ]);
+mod_assert.deepEqual(mod_skinner.aggregate(datapoints, [ 'host' ], {},
+    { 'values': values }), [
+    [ 'host1', 4, 5353 ],
+    [ 'host2', 3, 100 ]
+]);
+mod_assert.deepEqual(mod_skinner.aggregate(datapoints, [ 'host' ], {},
+    { 'values': [ 'bytes' ] }), [
+    [ 'host1', 5353 ],
+    [ 'host2', 100 ]
+]);
+
+/* The reducer applies to each column. */
+mod_assert.deepEqual(mod_skinner.aggregate(datapoints, [ 'host' ], {},
+    { 'values': values, 'reducer': 'max' }), [
+    [ 'host1', 2, 5123 ],
+    [ 'host2', 3, 100 ]
+]);
+
+/* Dense results fill in every column. */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'host', 'size' ],
+    'bucketizers': { 'size': mod_skinner.makeP2Bucketizer() },
+    'values': values
+});
+datapoints.forEach(function (pt) { aggr.aggregate(pt); });
+mod_assert.deepEqual(aggr.result({ 'dense': true }), [
+    [ 'host1', 3, 3, 5153 ],
+    [ 'host1', 4, 0, 0 ],
+    [ 'host1', 5, 1, 200 ],
+    [ 'host2', 3, 3, 100 ]
+]);
+
+/* Limits rank by the first column. */
+mod_assert.deepEqual(mod_skinner.aggregate(datapoints, [ 'host' ], {},
+    { 'values': values, 'limits': { 'host': 1 } }), [
+    [ 'host1', 4, 5353 ],
+    [ '<other>', 3, 100 ]
+]);
+mod_assert.deepEqual(mod_skinner.aggregate(datapoints, [ 'host' ], {},
+    { 'values': [ 'count' ], 'limits': { 'host': 1 }, 'reducer': 'max' }), [
+    [ 'host2', 3 ],
+    [ '<other>', 2 ]
+]);
+
+/* Data points must have all of the values. */
+errors = [];
+aggr2 = mod_skinner.createAggregator({ 'decomps': [], 'values': values });
+aggr2.on('invalid_object', function (_, err) { errors.push(err.message); });
+aggr2.aggregate({ 'fields': {}, 'value': 3 });
+aggr2.aggregate({ 'fields': {}, 'values': { 'count': 1 } });
+aggr2.aggregate({ 'fields': {}, 'values': { 'count': 1, 'bytes': '3' } });
+mod_assert.deepEqual(errors, [
+    'data point "values" is not an object',
+    'data point value "bytes" is not a number',
+    'data point value "bytes" is not a number'
+]);
+mod_assert.equal(aggr2.stats().nerr_invalid, 3);
+
+/* Aggregators with values can be merged, saved, and restored. */
+aggr2 = mod_skinner.createAggregator({
+    'decomps': [ 'host', 'size' ],
+    'bucketizers': { 'size': mod_skinner.makeP2Bucketizer() },
+    'values': values
+});
+aggr2.aggregate(datapoints[2]);
+aggr2.merge(aggr);
+mod_assert.deepEqual(aggr2.result(), [
+    [ 'host2', 3, 6, 200 ],
+    [ 'host1', 3, 3, 5153 ],
+    [ 'host1', 5, 1, 200 ]
+]);
+mod_assert.throws(function () {
+	aggr2.merge(mod_skinner.createAggregator({
+	    'decomps': [ 'host', 'size' ],
+	    'bucketizers': { 'size': mod_skinner.makeP2Bucketizer() },
+	    'values': [ 'bytes', 'count' ]
+	}));
+}, /cannot merge aggregators with different values/);
+
+state = JSON.parse(JSON.stringify(aggr2));
+mod_assert.deepEqual(state.values, values);
+restored = mod_skinner.restoreAggregator(state);
+mod_assert.deepEqual(restored.result(), aggr2.result());
+
+/* Results as points have "values" and round-trip through an aggregator. */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'host', 'size' ],
+    'bucketizers': { 'size': mod_skinner.makeP2Bucketizer() },
+    'values': values,
+    'resultsAsPoints': true
+});
+points = [];
+aggr.on('data', function (pt) { points.push(pt); });
+aggr.on('end', function () {
+	mod_assert.deepEqual(points, [
+	    { 'fields': { 'host': 'host1', 'size': 4 },
+		'values': { 'count': 3, 'bytes': 5153 } },
+	    { 'fields': { 'host': 'host1', 'size': 16 },
+		'values': { 'count': 1, 'bytes': 200 } },
+	    { 'fields': { 'host': 'host2', 'size': 4 },
+		'values': { 'count': 3, 'bytes': 100 } }
+	]);
+	mod_assert.deepEqual(mod_skinner.aggregate(points, [ 'host' ], {},
+	    { 'values': values }),
+	    mod_skinner.aggregate(datapoints, [ 'host' ], {},
+	    { 'values': values }));
+	console.log('test %s okay', mod_path.basename(process.argv[1]));
+});
+datapoints.forEach(function (pt) { aggr.write(pt); });
+aggr.end();
@@ -0,0 +1,233 @@
+var mod_assert = require('assert');
+var mod_path = require('path');
+var mod_skinner = require('../lib/skinner');
+
+var aggr, windows, errors, stream, emitted, expected, i;
+
+function pt(time, host, value)
+{
+	return ({
+	    'fields': { 'time': time, 'host': host },
+	    'value': value
+	});
+}
+
+function collect(a)
+{
+	var rv = [];
+	a.push = function (obj) { rv.push(obj); return (true); };
+	return (rv);
+}
+
+/* Tumbling windows. */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'host' ],
+    'window': { 'field': 'time', 'width': 10 }
+});
+windows = collect(aggr);
+aggr.aggregate(pt(0, 'host1', 1));
+aggr.aggregate(pt(3, 'host2', 2));
+aggr.aggregate(pt(9, 'host1', 4));
+mod_assert.deepEqual(windows, []);
+mod_assert.deepEqual(aggr.result(), [ {
+    'start': 0,
+    'end': 10,
+    'result': [ [ 'host1', 5 ], [ 'host2', 2 ] ]
+} ]);
+
+/* A point in the next window closes the first one. */
+aggr.aggregate(pt(10, 'host2', 8));
+mod_assert.deepEqual(windows, [ {
+    'start': 0,
+    'end': 10,
+    'result': [ [ 'host1', 5 ], [ 'host2', 2 ] ]
+} ]);
+
+/* Empty windows are skipped. */
+aggr.aggregate(pt(35, 'host1', 16));
+mod_assert.equal(windows.length, 2);
+mod_assert.deepEqual(windows[1],
+    { 'start': 10, 'end': 20, 'result': [ [ 'host2', 8 ] ] });
+mod_assert.deepEqual(aggr.result(), [
+    { 'start': 30, 'end': 40, 'result': [ [ 'host1', 16 ] ] }
+]);
+
+/* Points for closed windows are dropped. */
+errors = [];
+aggr.on('invalid_object', function (obj, err) { errors.push(err.message); });
+aggr.aggregate(pt(12, 'host1', 32));
+aggr.aggregate(pt('bogus', 'host1', 32));
+aggr.aggregate({ 'fields': { 'host': 'host1' }, 'value': 32 });
+mod_assert.deepEqual(errors, [
+    'data point arrived after its window closed',
+    'value for field "time" is not a valid timestamp',
+    'value for field "time" is not a valid timestamp'
+]);
+mod_assert.deepEqual(aggr.stats(), {
+    'ninputs': 8,
+    'nparsed': 0,
+    'nerr_nonnumeric': 0,
+    'nerr_invalid': 0,
+    'nerr_object': 0,
+    'nerr_fields': 0,
+    'nerr_value': 0,
+    'nmissing': 0,
+    'nerr_late': 1,
+    'nerr_timestamp': 2
+});
+
+/* Sliding windows: each point is counted in every window containing it. */
+aggr = mod_skinner.createAggregator({
+    'decomps': [],
+    'window': { 'field': 'time', 'width': 10, 'slide': 5 }
+});
+windows = collect(aggr);
+aggr.aggregate(pt(0, 'host1', 1));
+aggr.aggregate(pt(7, 'host1', 2));
+aggr.aggregate(pt(12, 'host1', 4));
+mod_assert.deepEqual(windows, [
+    { 'start': -5, 'end': 5, 'result': [ 1 ] },
+    { 'start': 0, 'end': 10, 'result': [ 3 ] }
+]);
+mod_assert.deepEqual(aggr.result(), [
+    { 'start': 5, 'end': 15, 'result': [ 6 ] },
+    { 'start': 10, 'end': 20, 'result': [ 4 ] }
+]);
+
+/*
+ * Window starts are exact multiples of a fractional slide, so points in the
+ * same window are counted together.
+ */
+aggr = mod_skinner.createAggregator({
+    'decomps': [],
+    'reducer': 'count',
+    'window': { 'field': 'time', 'width': 1, 'slide': 0.1 }
+});
+windows = collect(aggr);
+aggr.aggregate(pt(0.3, 'host1', 1));
+aggr.aggregate(pt(0.7, 'host1', 1));
+expected = [];
+for (i = -6; i <= 6; i++) {
+	expected.push({
+	    'start': i * 0.1,
+	    'end': i * 0.1 + 1,
+	    'result': [ i >= -2 && i <= 2 ? 2 : 1 ]
+	});
+}
+mod_assert.deepEqual(windows.concat(aggr.result()), expected);
+
+/* The function interface returns every window. */
+mod_assert.deepEqual(mod_skinner.aggregate([
+    pt(5, 'host1', 1),
+    pt(15, 'host2', 2),
+    pt(17, 'host1', 4)
+], [ 'host' ], {}, { 'window': { 'field': 'time', 'width': 10 } }), [
+    { 'start': 0, 'end': 10, 'result': [ [ 'host1', 1 ] ] },
+    { 'start': 10, 'end': 20, 'result': [ [ 'host2', 2 ], [ 'host1', 4 ] ] }
+]);
+
+/* Lateness keeps windows open a little longer. */
+aggr = mod_skinner.createAggregator({
+    'decomps': [],
+    'window': { 'field': 'time', 'width': 10, 'lateness': 5 }
+});
+windows = collect(aggr);
+aggr.aggregate(pt(1, 'host1', 1));
+aggr.aggregate(pt(12, 'host1', 2));
+aggr.aggregate(pt(8, 'host1', 4));
+mod_assert.deepEqual(windows, []);
+aggr.aggregate(pt(15, 'host1', 8));
+mod_assert.deepEqual(windows, [
+    { 'start': 0, 'end': 10, 'result': [ 5 ] }
+]);
+aggr.aggregate(pt(9, 'host1', 16));
+mod_assert.equal(aggr.stats()['nerr_late'], 1);
+
+/* Points are late for windows that closed without any data points, too. */
+aggr = mod_skinner.createAggregator({
+    'decomps': [],
+    'window': { 'field': 'time', 'width': 10 }
+});
+windows = collect(aggr);
+aggr.aggregate(pt(5, 'host1', 1));
+aggr.aggregate(pt(25, 'host1', 2));
+aggr.aggregate(pt(15, 'host1', 4));
+mod_assert.equal(aggr.stats()['nerr_late'], 1);
+mod_assert.deepEqual(windows, [ { 'start': 0, 'end': 10, 'result': [ 1 ] } ]);
+mod_assert.deepEqual(aggr.result(),
+    [ { 'start': 20, 'end': 30, 'result': [ 2 ] } ]);
+
+/* ISO 8601 timestamps are converted to milliseconds since the epoch. */
+aggr = mod_skinner.createAggregator({
+    'decomps': [ 'host' ],
+    'window': { 'field': 'time', 'width': 60000 }
+});
+windows = collect(aggr);
+aggr.aggregate(pt('2014-01-01T00:00:10Z', 'host1', 1));
+aggr.aggregate(pt('2014-01-01T00:00:50Z', 'host1', 2));
+aggr.aggregate(pt('2014-01-01T00:01:10Z', 'host2', 4));
+mod_assert.deepEqual(windows, [ {
+    'start': Date.parse('2014-01-01T00:00:00Z'),
+    'end': Date.parse('2014-01-01T00:01:00Z'),
+    'result': [ [ 'host1', 3 ] ]
+} ]);
+
+/* Windowed aggregators can't be merged or saved. */
+mod_assert.throws(function () {
+	aggr.merge(mod_skinner.createAggregator({ 'decomps': [ 'host' ] }));
+}, /cannot merge windowed aggregators/);
+mod_assert.throws(function () { aggr.toJSON(); },
+    /cannot serialize windowed aggregators/);
+
+/* Bad window options. */
+mod_assert.throws(function () {
+	mod_skinner.createAggregator({ 'decomps': [],
+	    'window': { 'field': 'time', 'width': 0 } });
+}, /window.width must be a positive number/);
+mod_assert.throws(function () {
+	mod_skinner.createAggregator({ 'decomps': [],
+	    'window': { 'field': 'time', 'width': 10, 'slide': 20 } });
+}, /window.slide must be a positive number/);
+
+/* Streaming interface: remaining windows are emitted at end of stream. */
+stream = mod_skinner.createAggregator({
+    'decomps': [ 'host' ],
+    'resultsAsPoints': true,
+    'window': { 'field': 'time', 'width': 10 }
+});
+emitted = [];
+[ pt(1, 'host1', 1), pt(2, 'host2', 2), pt(11, 'host1', 4),
+    pt(25, 'host1', 8) ].forEach(function (p) { stream.write(p); });
+stream.end();
+stream.on('data', function (w) { emitted.push(w); });
+stream.on('end', function () {
+	mod_assert.deepEqual(emitted, [ {
+	    'start': 0,
+	    'end': 10,
+	    'result': [
+		{ 'fields': { 'host': 'host1' }, 'value': 1 },
+		{ 'fields': { 'host': 'host2' }, 'value': 2 }
+	    ]
+	}, {
+	    'start': 10,
+	    'end': 20,
+	    'result': [ { 'fields': { 'host': 'host1' }, 'value': 4 } ]
+	}, {
+	    'start': 20,
+	    'end': 30,
+	    'result': [ { 'fields': { 'host': 'host1' }, 'value': 8 } ]
+	} ]);
+	mod_assert.deepEqual(stream.stats(), {
+	    'ninputs': 4,
+	    'nparsed': 0,
+	    'nerr_nonnumeric': 0,
+	    'nerr_invalid': 0,
+	    'nerr_object': 0,
+	    'nerr_fields': 0,
+	    'nerr_value': 0,
+	    'nmissing': 0,
+	    'nerr_late': 0,
+	    'nerr_timestamp': 0
+	});
+	console.log('test %s okay', mod_path.basename(process.argv[1]));
+});
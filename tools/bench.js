@@ -0,0 +1,122 @@
+/*
+ * tools/bench.js: measure how quickly an aggregator ingests data points
+ *
+ * Usage: node tools/bench.js [NPOINTS [PATH_TO_SKINNER]]
+ *
+ * This reports points per second for each way of feeding points to an
+ * aggregator: calling aggregate() directly, calling aggregateBatch(), and
+ * piping a stream of points into the aggregator.  To compare against another
+ * version, pass the path to that version's lib/skinner.js.
+ */
+
+var mod_path = require('path');
+var mod_stream = require('stream');
+
+var skinner, npoints, datapoints, cases, i;
+
+npoints = process.argv[2] ? parseInt(process.argv[2], 10) : 200000;
+skinner = require(process.argv[3] ?
+    mod_path.resolve(process.argv[3]) : '../lib/skinner');
+
+datapoints = [];
+for (i = 0; i < 1000; i++) {
+	datapoints.push({
+	    'fields': {
+		'host': 'host' + (i % 20),
+		'op': i % 3 === 0 ? 'read' : 'write',
+		'latency': (i * 7919) % 10000
+	    },
+	    'value': 1
+	});
+}
+
+function makeAggregator()
+{
+	return (skinner.createAggregator({
+	    'decomps': [ 'host', 'op', 'latency' ],
+	    'bucketizers': { 'latency': skinner.makeP2Bucketizer() }
+	}));
+}
+
+function benchAggregate(callback)
+{
+	var aggr = makeAggregator();
+	var j;
+
+	for (j = 0; j < npoints; j++)
+		aggr.aggregate(datapoints[j % datapoints.length]);
+	callback();
+}
+
+function benchBatch(callback)
+{
+	var aggr = makeAggregator();
+	var batch, j;
+
+	if (!aggr.aggregateBatch) {
+		callback(new Error('aggregateBatch() not supported'));
+		return;
+	}
+
+	batch = [];
+	for (j = 0; j < npoints; j++) {
+		batch.push(datapoints[j % datapoints.length]);
+		if (batch.length == 1024) {
+			aggr.aggregateBatch(batch);
+			batch = [];
+		}
+	}
+	aggr.aggregateBatch(batch);
+	callback();
+}
+
+function benchStream(callback)
+{
+	var aggr = makeAggregator();
+	var source = new mod_stream.Readable({ 'objectMode': true });
+	var j = 0;
+
+	source._read = function () {
+		while (j < npoints) {
+			if (!source.push(datapoints[j++ % datapoints.length]))
+				return;
+		}
+		source.push(null);
+	};
+
+	source.pipe(aggr);
+	aggr.on('finish', function () { callback(); });
+	aggr.resume();
+}
+
+cases = [
+    [ 'aggregate()', benchAggregate ],
+    [ 'aggregateBatch()', benchBatch ],
+    [ 'stream', benchStream ]
+];
+
+function runNext()
+{
+	var c, start;
+
+	if (cases.length === 0)
+		return;
+
+	c = cases.shift();
+	start = process.hrtime();
+	c[1](function (err) {
+		var t = process.hrtime(start);
+		var secs = t[0] + t[1] / 1e9;
+
+		if (err) {
+			console.log('%s: %s', c[0], err.message);
+		} else {
+			console.log('%s: %d points/sec', c[0],
+			    Math.round(npoints / secs));
+		}
+		setImmediate(runNext);
+	});
+}
+
+console.log('%d points', npoints);
+runNext();